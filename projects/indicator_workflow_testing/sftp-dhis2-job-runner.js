@@ -0,0 +1,132 @@
+/**
+ * Job runner for the sftp-dhis2 workflow test scripts
+ *
+ * Runs a job file from projects/openfn-workflows/workflows/sftp-dhis2/jobs the way the OpenFn runtime does:
+ * every top-level operation in order, each one receiving the state the previous one returned.
+ * language-common's fn is built in; jobs using SFTP or DHIS2 operations only run when the test passes
+ * stand-ins for them (adaptors option), since the real ones need a live server.
+ * xlsx, cfb and js-yaml are loaded from the workflow's own node_modules (npm install in the workflow folder).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createRequire } = require('module');
+const { pathToFileURL } = require('url');
+
+const WORKFLOW_DIR = path.resolve(__dirname, '../openfn-workflows/workflows/sftp-dhis2');
+const JOBS_DIR = path.join(WORKFLOW_DIR, 'jobs');
+// Inside node_modules, so the copied job resolves the workflow's packages and nothing lands in git
+const RUN_DIR = path.join(WORKFLOW_DIR, 'node_modules', '.job-runs');
+
+const ADAPTOR_IMPORT = /import\s*\{([^}]*)\}\s*from\s*'(@openfn\/language-[a-z0-9-]+)';/g;
+
+// Colour-coded output, as in the other test scripts
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+// require() a package from the workflow's node_modules, e.g. xlsx to build fixture workbooks
+const workflowRequire = createRequire(path.join(WORKFLOW_DIR, 'package.json'));
+
+// Write a workbook fixture; rows[0] holds the headers. Pass { sheetName: rows, ... } as rows for several sheets
+function writeWorkbook(filePath, rows, sheetName = 'Indicators') {
+  const XLSX = workflowRequire('xlsx');
+  const workbook = XLSX.utils.book_new();
+  const sheets = Array.isArray(rows) ? { [sheetName]: rows } : rows;
+  Object.entries(sheets).forEach(([name, sheetRows]) => {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheetRows), name);
+  });
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+  return filePath;
+}
+
+let runCount = 0;
+
+// Run jobs/<jobFile> against state and resolve with the final state. Job logging is silenced
+// unless verbose is set, since the jobs log every row. adaptors maps an adaptor package to the
+// operations the job imports from it, e.g. { '@openfn/language-sftp': { get: (remotePath, localPath) => async state => state } }
+async function runJob(jobFile, state, { verbose = false, adaptors = {} } = {}) {
+  if (!fs.existsSync(path.join(WORKFLOW_DIR, 'node_modules'))) {
+    throw new Error(`Install the workflow dependencies first: cd ${WORKFLOW_DIR} && npm install`);
+  }
+
+  const source = fs.readFileSync(path.join(JOBS_DIR, jobFile), 'utf8');
+  const missing = [...source.matchAll(ADAPTOR_IMPORT)]
+    .map(([, , adaptor]) => adaptor)
+    .filter(adaptor => adaptor !== '@openfn/language-common' && !adaptors[adaptor]);
+  if (missing.length > 0) {
+    throw new Error(`${jobFile} needs stand-ins for ${missing.join(', ')} (runJob adaptors option)`);
+  }
+
+  // language-common's fn(callback) is an operation calling callback(state); the runtime runs
+  // the job's top-level operations in order, so collect them as the job module is evaluated
+  const operations = [];
+  globalThis.__sftpDhis2JobAdaptors = {
+    ...adaptors,
+    '@openfn/language-common': {
+      fn: callback => {
+        const operation = state => callback(state);
+        operations.push(operation);
+        return operation;
+      }
+    }
+  };
+
+  fs.mkdirSync(RUN_DIR, { recursive: true });
+  const runPath = path.join(RUN_DIR, `${path.basename(jobFile, '.js')}.${process.pid}.${++runCount}.mjs`);
+  fs.writeFileSync(runPath, source.replace(ADAPTOR_IMPORT, "const {$1} = globalThis.__sftpDhis2JobAdaptors['$2'];"));
+
+  const consoleMethods = ['log', 'warn', 'error'].map(method => [method, console[method]]);
+  if (!verbose) {
+    consoleMethods.forEach(([method]) => { console[method] = () => {}; });
+  }
+  try {
+    await import(pathToFileURL(runPath).href);
+    let result = JSON.parse(JSON.stringify(state));
+    for (const operation of operations) {
+      result = await operation(result);
+    }
+    return result;
+  } finally {
+    consoleMethods.forEach(([method, original]) => { console[method] = original; });
+    fs.unlinkSync(runPath);
+  }
+}
+
+// Collect named checks and report them like the other test scripts; exits non-zero on a failure
+function createChecks(title) {
+  const results = [];
+  log(`\n🧪 ${title}\n`, 'cyan');
+
+  return {
+    check(name, passed, details = '') {
+      results.push({ name, passed });
+      log(`${passed ? '✅' : '❌'} ${name}${details ? ` - ${details}` : ''}`, passed ? 'green' : 'red');
+    },
+    async section(name, body) {
+      log(`\n${name}`, 'yellow');
+      try {
+        await body();
+      } catch (error) {
+        results.push({ name, passed: false });
+        log(`❌ ${name} threw: ${error.stack || error.message}`, 'red');
+      }
+    },
+    finish() {
+      const failed = results.filter(result => !result.passed);
+      log(`\n${results.length - failed.length}/${results.length} checks passed`, failed.length ? 'red' : 'green');
+      process.exit(failed.length ? 1 : 0);
+    }
+  };
+}
+
+module.exports = { WORKFLOW_DIR, runJob, workflowRequire, writeWorkbook, createChecks, log };
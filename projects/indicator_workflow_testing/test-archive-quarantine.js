@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Archive and quarantine test for archive-sftp-files.js
+ *
+ * Runs the archive job against an in-memory SFTP server to validate:
+ * 1. The workflow runs the archive job when the process job fails
+ * 2. When the process job threw, every downloaded file is quarantined with its error
+ * 3. A quarantined file keeps its quarantinedPath in tracking when its error sidecar cannot be written
+ * 4. An uploaded file is recorded as archived when its upload marker cannot be moved
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { WORKFLOW_DIR, runJob, workflowRequire, createChecks } = require('./sftp-dhis2-job-runner');
+
+// Stand-in for @openfn/language-sftp; paths in `refuse` fail to move or be written
+function createSftp(refuse = []) {
+  const moved = {};
+  const written = {};
+  const refused = remotePath => refuse.some(suffix => remotePath.endsWith(suffix));
+  return {
+    moved,
+    written,
+    adaptors: {
+      '@openfn/language-sftp': {
+        mkdir: () => async state => state,
+        rename: (from, to) => async state => {
+          if (refused(from)) {
+            throw new Error(`Permission denied: ${from}`);
+          }
+          moved[from] = to;
+          return state;
+        },
+        put: (localPath, remotePath) => async state => {
+          if (refused(remotePath)) {
+            throw new Error(`Permission denied: ${remotePath}`);
+          }
+          written[remotePath] = JSON.parse(fs.readFileSync(localPath, 'utf8'));
+          return state;
+        }
+      }
+    }
+  };
+}
+
+const downloaded = name => ({ key: `hiv/${name}`, name, path: `/uploads/hiv/${name}`, localPath: `/tmp/openfn-downloads/hiv/${name}` });
+
+async function main() {
+  const checks = createChecks('Archive and quarantine (archive-sftp-files.js)');
+
+  await checks.section('Failed process job', async () => {
+    const project = workflowRequire('js-yaml').load(fs.readFileSync(path.join(WORKFLOW_DIR, 'project.yaml'), 'utf8'));
+    const edges = Object.values(project.workflows).flatMap(workflow => Object.values(workflow.edges));
+    checks.check('the workflow archives after the process job fails', edges.some(edge =>
+      edge.source_job === 'ProcessExcelData' && edge.target_job === 'ArchiveSFTPFiles' && edge.condition_type === 'on_job_failure'));
+
+    const sftp = createSftp();
+    const state = await runJob('archive-sftp-files.js', {
+      downloadedFiles: [downloaded('crash.xlsx'), downloaded('other.xlsx')],
+      fileTracking: {},
+      errors: { ProcessExcelData: { message: 'Invalid HTML: could not find <table>' } }
+    }, { adaptors: sftp.adaptors });
+    const sidecar = sftp.written['/uploads/hiv/quarantine/crash.xlsx.error.json'] || {};
+    checks.check('every downloaded file is quarantined', state.quarantinedFiles.length === 2 &&
+      sftp.moved['/uploads/hiv/crash.xlsx'] === '/uploads/hiv/quarantine/crash.xlsx', JSON.stringify(sftp.moved));
+    checks.check('the error sidecar holds the process job error', sidecar.stage === 'parse' && sidecar.error === 'Invalid HTML: could not find <table>',
+      JSON.stringify(sidecar));
+    checks.check('tracking records the quarantine', state.fileTracking['hiv/crash.xlsx'].status === 'quarantined',
+      JSON.stringify(state.fileTracking['hiv/crash.xlsx']));
+  });
+
+  await checks.section('Sidecar failures', async () => {
+    const quarantine = await runJob('archive-sftp-files.js', {
+      processedFiles: [],
+      processingErrors: [{ ...downloaded('broken.xlsx'), fileName: 'broken.xlsx', error: 'No indicator data found' }],
+      uploadCompleted: true,
+      fileTracking: {}
+    }, { adaptors: createSftp(['.error.json']).adaptors });
+    const tracked = quarantine.fileTracking['hiv/broken.xlsx'] || {};
+    checks.check('a file whose error sidecar fails keeps its quarantinedPath', tracked.quarantinedPath === '/uploads/hiv/quarantine/broken.xlsx',
+      JSON.stringify(tracked));
+    checks.check('the sidecar failure is reported', quarantine.archiveErrors.length === 1 && quarantine.quarantinedFiles[0].sidecarPath === null,
+      JSON.stringify(quarantine.archiveErrors));
+
+    const archive = await runJob('archive-sftp-files.js', {
+      processedFiles: [{ ...downloaded('june.xlsx'), markerPath: '/uploads/hiv/june.xlsx.done', excelData: {} }],
+      uploadCompleted: true,
+      fileTracking: { 'hiv/june.xlsx': { key: 'hiv/june.xlsx', status: 'processed' } }
+    }, { adaptors: createSftp(['.done']).adaptors });
+    const archived = archive.fileTracking['hiv/june.xlsx'] || {};
+    checks.check('a file whose marker cannot be moved is still recorded as archived', Boolean(archived.archivedPath) &&
+      archive.archivedFiles.length === 1 && archive.archiveErrors.length === 1, JSON.stringify(archive.archiveErrors));
+  });
+
+  checks.finish();
+}
+
+main().catch(error => {
+  console.error('💥 Archive and quarantine test failed to run:', error);
+  process.exit(1);
+});
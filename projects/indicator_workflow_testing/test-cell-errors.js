@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * Cell-level error test for process-excel-data.js
+ *
+ * Runs the process, payload and file tracking jobs on a workbook with bad and reformatted cells to validate:
+ * 1. Every rejected or coerced cell is recorded with its workbook, sheet, A1 reference, raw value and reason
+ * 2. Cells that cost their row are 'rejected'; cells read differently or left blank are 'coerced'
+ * 3. The cell errors reach state.cellErrors and are still in the state after the later jobs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runJob, writeWorkbook, createChecks } = require('./sftp-dhis2-job-runner');
+
+async function main() {
+  const checks = createChecks('Cell-level errors (process-excel-data.js)');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cell-errors-'));
+
+  const localPath = writeWorkbook(path.join(workDir, 'hiv_report.xlsx'), [
+    ['Indicator', 'Value', 'Target', 'Period'],
+    ['TX_CURR', '1,200', 1300, '202506'],
+    ['HTS_TST', 'abc', 400, '202506'],
+    ['TX_NEW', 12, 'lots', '202506'],
+    ['TX_ML', 5, '', '13/2025'],
+    ['', 7, '', '202506'],
+    ['PrEP_NEW', '*', '', '202506']
+  ], 'HIV Indicators');
+  const processed = await runJob('process-excel-data.js', {
+    downloadedFiles: [{ key: 'hiv_report.xlsx', name: 'hiv_report.xlsx', path: '/uploads/hiv_report.xlsx', localPath }]
+  });
+  const cellErrors = processed.cellErrors || [];
+  const at = cell => cellErrors.find(error => error.cell === cell) || {};
+  const describe = error => `${error.workbook} ${error.sheet}!${error.cell} ${error.field} ${JSON.stringify(error.value)}: ${error.reason} (${error.action})`;
+
+  await checks.section('Rejected cells', async () => {
+    const value = at('B3');
+    checks.check('a value that is not a number rejects its row', value.workbook === 'hiv_report.xlsx' && value.sheet === 'HIV Indicators' &&
+      value.field === 'value' && value.value === 'abc' && value.action === 'rejected' && /not a number/.test(value.reason), describe(value));
+    const period = at('D5');
+    checks.check('an unreadable period rejects its row', period.field === 'period' && period.value === '13/2025' && period.action === 'rejected',
+      describe(period));
+    const indicators = processed.processedFiles[0].excelData.indicators.map(record => record.indicator);
+    checks.check('rejected rows are left out', !indicators.includes('HTS_TST') && !indicators.includes('TX_ML'), indicators.join(', '));
+  });
+
+  await checks.section('Coerced cells', async () => {
+    const thousands = at('B2');
+    checks.check('a reformatted number is recorded as read', thousands.action === 'coerced' && thousands.value === '1,200' &&
+      /as 1200/.test(thousands.reason), describe(thousands));
+    const target = at('C4');
+    checks.check('a bad optional cell is left blank', target.field === 'target' && target.action === 'coerced' && /left blank/.test(target.reason),
+      describe(target));
+    const indicator = at('A6');
+    checks.check('a missing indicator is named after its row', indicator.field === 'indicator' && indicator.action === 'coerced' &&
+      /Row_5/.test(indicator.reason), describe(indicator));
+    const suppressed = at('B7');
+    checks.check('a suppressed value is kept as null', suppressed.action === 'coerced' && /suppressed/.test(suppressed.reason), describe(suppressed));
+    checks.check('no other cell is reported', cellErrors.length === 6, cellErrors.map(describe).join(' | '));
+  });
+
+  await checks.section('Run state', async () => {
+    const generated = await runJob('generate-dhis2-payload.js', processed);
+    const tracked = await runJob('update-file-tracking.js', { ...generated, uploadCompleted: true, uploadSummary: { status: 'success' } });
+    checks.check('the cell errors are still in the final state', JSON.stringify(tracked.cellErrors) === JSON.stringify(cellErrors),
+      `${(tracked.cellErrors || []).length} cell error(s)`);
+    checks.check('the payload and tracking summaries count them', generated.payload.metadata.hasValidationWarnings === true &&
+      tracked.fileTracking['hiv_report.xlsx'].cellErrors === 6 && tracked.trackingSummary.cellErrors === 6, JSON.stringify(tracked.trackingSummary));
+  });
+
+  fs.rmSync(workDir, { recursive: true, force: true });
+  checks.finish();
+}
+
+main().catch(error => {
+  console.error('💥 Cell error test failed to run:', error);
+  process.exit(1);
+});
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+/**
+ * Age/sex disaggregation mapping test for generate-dhis2-payload.js
+ *
+ * Runs the process and payload jobs on an indicator workbook with Age and Sex columns and a Direct Queries
+ * workbook with a Disaggregation column to validate:
+ * 1. Disaggregated values get the categoryOptionCombo mapped from their label; totals keep catAttrCombo
+ * 2. Labels match regardless of case, order and spelling of the sex ('15-19 Female', 'F, 15-19' and '15-19 F')
+ * 3. An indicator's own table wins over the shared table
+ * 4. Each value records its source label; unmapped labels, indicators and sites are listed, not uploaded
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runJob, writeWorkbook, createChecks } = require('./sftp-dhis2-job-runner');
+
+const CAT_ATTR_COMBO = 'HllvX50cXC0';
+const NATIONAL = 'rXoaHGAXWy9';
+
+async function main() {
+  const checks = createChecks('Disaggregation mapping (generate-dhis2-payload.js)');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'disaggregation-mapping-'));
+
+  const indicatorsPath = writeWorkbook(path.join(workDir, 'hiv_report.xlsx'), [
+    ['Indicator', 'Age', 'Sex', 'Value', 'Period'],
+    ['TX_CURR', '', '', 1200, '202506'],
+    ['TX_CURR', '15-19', 'Female', 40, '202506'],
+    ['TX_CURR', '20 - 24', 'M', 60, '202506'],
+    ['TX_CURR', '50+', 'F', 7, '202506'],
+    ['TX_NEW', '<15', 'F', 5, '202506'],
+    ['VMMC_CIRC', '15-19', 'M', 9, '202506']
+  ]);
+  const queriesPath = writeWorkbook(path.join(workDir, 'queries_june.xlsx'), [
+    ['Site', 'Indicator', 'Disaggregation', 'Value', 'Period'],
+    ['Kawale', 'TX_CURR', 'F, 15-19', 12, '202506'],
+    ['Lumbadzi', 'TX_CURR', '15-19 F', 3, '202506']
+  ], 'TX_RTT');
+
+  const processed = await runJob('process-excel-data.js', {
+    downloadedFiles: [
+      { key: 'hiv_report.xlsx', name: 'hiv_report.xlsx', path: '/uploads/hiv_report.xlsx', localPath: indicatorsPath },
+      { key: 'queries_june.xlsx', name: 'queries_june.xlsx', path: '/uploads/queries_june.xlsx', localPath: queriesPath }
+    ]
+  });
+  const state = await runJob('generate-dhis2-payload.js', {
+    ...processed,
+    reportConfig: {
+      catAttrCombo: CAT_ATTR_COMBO,
+      dataSet: 'BfMAe6Itzgt',
+      orgUnit: NATIONAL,
+      hivStagesReportMapping: { TX_CURR: 'ZiOVcrSjSYe', TX_NEW: 'dwEq7wi6nXV' },
+      categoryOptionComboMapping: {
+        '15-19 F': 'Coc1519Fema',
+        '20-24 M': 'Coc2024Male',
+        '<15 F': 'CocU15Femal',
+        TX_NEW: { '<15 F': 'TxNewU15Fem' }
+      },
+      siteOrgUnits: { Kawale: 'KawaleOrgUn' }
+    }
+  });
+  const dataValues = state.payload.dataValues;
+  const describe = dataValue => `${dataValue.orgUnit} ${dataValue.dataElement} ${dataValue.categoryOptionCombo} ` +
+    `[${dataValue.disaggregation || 'total'}]=${dataValue.value}`;
+
+  await checks.section('Category option combos', async () => {
+    const uploaded = dataValues.map(describe).sort();
+    checks.check('mapped labels get their combo and totals keep catAttrCombo', JSON.stringify(uploaded) === JSON.stringify([
+      'KawaleOrgUn ZiOVcrSjSYe Coc1519Fema [F, 15-19]=12',
+      `${NATIONAL} ZiOVcrSjSYe Coc1519Fema [15-19 Female]=40`,
+      `${NATIONAL} ZiOVcrSjSYe Coc2024Male [20 - 24 M]=60`,
+      `${NATIONAL} ZiOVcrSjSYe ${CAT_ATTR_COMBO} [total]=1200`,
+      `${NATIONAL} dwEq7wi6nXV TxNewU15Fem [<15 F]=5`
+    ]), uploaded.join(', '));
+    checks.check('disaggregated values keep catAttrCombo as attribute combo', dataValues.every(dataValue =>
+      dataValue.attributeOptionCombo === CAT_ATTR_COMBO), JSON.stringify(dataValues.map(dataValue => dataValue.attributeOptionCombo)));
+    const txNew = dataValues.find(dataValue => dataValue.dataElement === 'dwEq7wi6nXV') || {};
+    checks.check("an indicator's own table wins over the shared table", txNew.categoryOptionCombo === 'TxNewU15Fem' &&
+      txNew.matchType === 'disaggregated', describe(txNew));
+  });
+
+  await checks.section('Unmapped values', async () => {
+    const stats = state.payload.disaggregationStats;
+    checks.check('an unmapped label is listed', JSON.stringify(stats.unmappedLabels) === '["50+ F"]', JSON.stringify(stats));
+    checks.check('an unmapped indicator is listed', JSON.stringify(stats.unmappedIndicators) === '["VMMC_CIRC"]', JSON.stringify(stats));
+    checks.check('a site without an orgUnit is listed', JSON.stringify(stats.unmappedSites) === '["Lumbadzi"]', JSON.stringify(stats));
+    checks.check('only mapped values are counted as uploaded', stats.records === 7 && stats.dataValues === 4, JSON.stringify(stats));
+  });
+
+  fs.rmSync(workDir, { recursive: true, force: true });
+  checks.finish();
+}
+
+main().catch(error => {
+  console.error('💥 Disaggregation mapping test failed to run:', error);
+  process.exit(1);
+});
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * Download retry test for download-sftp-files.js and check-sftp-files.js
+ *
+ * Runs both jobs against an in-memory SFTP listing where some files cannot be fetched to validate:
+ * 1. A failed download is kept in downloadRetries with its run count and a next attempt time
+ * 2. The check holds a failed file back until that time, and fetches it again once it has passed
+ * 3. After downloadConfig.maxRuns failed runs the file is tracked as failed and listed as abandoned
+ * 4. An abandoned file is not fetched again until it changes on the SFTP server
+ */
+
+const fs = require('fs');
+const { runJob, createChecks } = require('./sftp-dhis2-job-runner');
+
+// Where both jobs keep their local copies
+const LOCAL_DOWNLOAD_PATH = '/tmp/openfn-downloads/';
+const MODIFIED_TIME = '2025-07-01T08:00:00Z';
+
+// Stand-in for @openfn/language-sftp serving the files in `contents`; any other path is refused
+function createSftp(contents) {
+  const fetched = [];
+  return {
+    fetched,
+    adaptors: {
+      '@openfn/language-sftp': {
+        list: () => async state => ({
+          ...state,
+          data: Object.entries(contents).map(([name, body]) => ({ type: 'file', name, size: body.length, modifiedTime: MODIFIED_TIME }))
+        }),
+        get: (remotePath, localPath) => async state => {
+          fetched.push(remotePath);
+          const name = remotePath.split('/').pop();
+          if (!contents[name]) {
+            throw new Error(`Permission denied: ${remotePath}`);
+          }
+          fs.writeFileSync(localPath, contents[name]);
+          return state;
+        },
+        stat: () => async state => state
+      }
+    }
+  };
+}
+
+const listed = name => ({ key: name, name, size: 5, modifiedTime: MODIFIED_TIME, path: `/uploads/${name}` });
+
+async function main() {
+  const checks = createChecks('Download retries (download-sftp-files.js, check-sftp-files.js)');
+  const scanConfig = { recursive: false, stability: { mode: 'off' } };
+
+  await checks.section('Failed download', async () => {
+    const before = Date.now();
+    const state = await runJob('download-sftp-files.js', { newFiles: [listed('broken.xlsx')] }, { adaptors: createSftp({}).adaptors });
+    const retry = state.downloadRetries['broken.xlsx'] || {};
+    const waitMinutes = (Date.parse(retry.nextAttemptAt) - before) / 60000;
+    checks.check('the failure is kept with its run count', retry.runs === 1 && state.failedDownloads.length === 1, JSON.stringify(retry));
+    checks.check('the next attempt waits the initial backoff', waitMinutes >= 15 && waitMinutes < 16, `${waitMinutes.toFixed(1)} minutes`);
+    checks.check('the file is not tracked yet', !state.fileTracking['broken.xlsx'], JSON.stringify(state.fileTracking));
+  });
+
+  await checks.section('Check during and after the backoff', async () => {
+    const sftp = createSftp({ 'broken.xlsx': 'bytes', 'due.xlsx': 'bytes' });
+    const later = new Date(Date.now() + 30 * 60000).toISOString();
+    const earlier = new Date(Date.now() - 60000).toISOString();
+    const state = await runJob('check-sftp-files.js', {
+      scanConfig,
+      downloadRetries: {
+        'broken.xlsx': { key: 'broken.xlsx', runs: 2, nextAttemptAt: later },
+        'due.xlsx': { key: 'due.xlsx', runs: 2, nextAttemptAt: earlier }
+      }
+    }, { adaptors: sftp.adaptors });
+    const newKeys = state.newFiles.map(file => file.key);
+    checks.check('a file in its backoff is held back, not fetched', JSON.stringify(state.retryWaiting.map(file => file.key)) === '["broken.xlsx"]' &&
+      !sftp.fetched.includes('/uploads/broken.xlsx'), `waiting ${JSON.stringify(state.retryWaiting)}, fetched ${sftp.fetched.join(', ')}`);
+    checks.check('a file whose backoff has passed is picked up again', JSON.stringify(newKeys) === '["due.xlsx"]', newKeys.join(', '));
+    fs.rmSync(`${LOCAL_DOWNLOAD_PATH}due.xlsx`, { force: true });
+  });
+
+  await checks.section('Giving up', async () => {
+    const state = await runJob('download-sftp-files.js', {
+      newFiles: [listed('broken.xlsx')],
+      downloadRetries: { 'broken.xlsx': { key: 'broken.xlsx', attempts: 4, runs: 4 } }
+    }, { adaptors: createSftp({}).adaptors });
+    const tracked = state.fileTracking['broken.xlsx'] || {};
+    checks.check('the file is tracked as failed after maxRuns runs', tracked.status === 'failed' && tracked.downloadRuns === 5, JSON.stringify(tracked));
+    checks.check('it is listed as abandoned and no longer retried', state.abandonedDownloads.length === 1 && !state.downloadRetries['broken.xlsx'],
+      JSON.stringify(state.abandonedDownloads));
+
+    const sftp = createSftp({ 'broken.xlsx': 'bytes' });
+    const unchanged = await runJob('check-sftp-files.js', { scanConfig, fileTracking: state.fileTracking }, { adaptors: sftp.adaptors });
+    checks.check('the unchanged file is not fetched again', unchanged.newFiles.length === 0 && sftp.fetched.length === 0, sftp.fetched.join(', '));
+
+    const changed = await runJob('check-sftp-files.js', {
+      scanConfig,
+      fileTracking: { 'broken.xlsx': { ...tracked, modifiedTime: '2025-06-01T08:00:00Z' } }
+    }, { adaptors: createSftp({ 'broken.xlsx': 'bytes' }).adaptors });
+    checks.check('the file is picked up again once it changes', changed.newFiles.length === 1, changed.newFiles.map(file => file.key).join(', '));
+    fs.rmSync(`${LOCAL_DOWNLOAD_PATH}broken.xlsx`, { force: true });
+  });
+
+  checks.finish();
+}
+
+main().catch(error => {
+  console.error('💥 Download retry test failed to run:', error);
+  process.exit(1);
+});
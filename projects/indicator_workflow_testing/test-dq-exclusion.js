@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Data quality exclusion test for check-data-quality-rules.js and generate-dhis2-payload.js
+ *
+ * Runs the process, data quality and payload jobs on a workbook reporting two periods to validate:
+ * 1. Rules are checked per period as the values are uploaded (a Q2FY25 row is checked as 2025Q1)
+ * 2. With policy exclude_values, the values behind a violated rule are absent from the payload
+ * 3. Excluded values are not filled in from another indicator by name matching
+ * 4. Values of the period without violations are uploaded untouched
+ * 5. A value reported by two files is resolved with conflictConfig.resolution before rules are checked, not added up
+ * 6. An unknown policy fails the job
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runJob, writeWorkbook, createChecks } = require('./sftp-dhis2-job-runner');
+
+async function main() {
+  const checks = createChecks('Data quality exclusion (check-data-quality-rules.js -> generate-dhis2-payload.js)');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dq-exclusion-'));
+
+  // June breaks HTS_TST_POS <= HTS_TST; the fiscal quarter is consistent
+  const localPath = writeWorkbook(path.join(workDir, 'hiv_report.xlsx'), [
+    ['Indicator', 'Value', 'Period'],
+    ['HTS_TST', 10, '202506'],
+    ['HTS_TST_POS', 12, '202506'],
+    ['TX_CURR', 100, '202506'],
+    ['HTS_TST', 50, 'Q2FY25'],
+    ['HTS_TST_POS', 5, 'Q2FY25']
+  ]);
+
+  const processed = await runJob('process-excel-data.js', {
+    downloadedFiles: [{ key: 'hiv_report.xlsx', name: 'hiv_report.xlsx', path: '/uploads/hiv_report.xlsx', localPath }],
+    dataQualityConfig: { policy: 'exclude_values' }
+  });
+  const checked = await runJob('check-data-quality-rules.js', processed);
+  const state = await runJob('generate-dhis2-payload.js', checked);
+  const dataValues = (state.payload && state.payload.dataValues) || [];
+  const valuesOf = (indicator, period) => dataValues
+    .filter(dataValue => dataValue.originalIndicator === indicator && dataValue.period === period)
+    .map(dataValue => dataValue.value);
+
+  await checks.section('Violations', async () => {
+    const violations = checked.dataQualityViolations || [];
+    checks.check('one violation, for June', violations.length === 1 && violations[0].period === '202506',
+      violations.map(violation => `${violation.period} ${violation.message}`).join('; '));
+    checks.check('both values behind it are excluded', checked.dataQualitySummary.excludedValues === 2, JSON.stringify(checked.dataQualitySummary));
+  });
+
+  await checks.section('Payload', async () => {
+    checks.check('excluded HTS_TST is absent from the payload', valuesOf('HTS_TST', '202506').length === 0, valuesOf('HTS_TST', '202506').join(', '));
+    checks.check('excluded HTS_TST_POS is absent from the payload', valuesOf('HTS_TST_POS', '202506').length === 0, valuesOf('HTS_TST_POS', '202506').join(', '));
+    checks.check('excluded values are counted as missing', state.payload.matchingStats.missingValues === 2, JSON.stringify(state.payload.matchingStats));
+    checks.check('TX_CURR of the same period is uploaded', JSON.stringify(valuesOf('TX_CURR', '202506')) === '[100]', valuesOf('TX_CURR', '202506').join(', '));
+    checks.check('the consistent quarter is uploaded as 2025Q1',
+      JSON.stringify(valuesOf('HTS_TST', '2025Q1')) === '[50]' && JSON.stringify(valuesOf('HTS_TST_POS', '2025Q1')) === '[5]',
+      dataValues.map(dataValue => `${dataValue.originalIndicator} ${dataValue.period}=${dataValue.value}`).join(', '));
+  });
+
+  await checks.section('Values reported twice', async () => {
+    // Added up, HTS_TST (20) would cover HTS_TST_POS (15); only one HTS_TST of 10 is uploaded
+    const downloadedFiles = [
+      { name: 'hiv_june_v1.xlsx', modifiedTime: '2025-07-01T08:00:00Z', rows: [['HTS_TST', 10, '202506']] },
+      { name: 'hiv_june_v2.xlsx', modifiedTime: '2025-07-02T08:00:00Z', rows: [['HTS_TST', 10, '202506'], ['HTS_TST_POS', 15, '202506']] }
+    ].map(({ name, modifiedTime, rows }) => ({
+      key: name,
+      name,
+      path: `/uploads/${name}`,
+      modifiedTime,
+      localPath: writeWorkbook(path.join(workDir, name), [['Indicator', 'Value', 'Period'], ...rows])
+    }));
+    const twice = await runJob('process-excel-data.js', { downloadedFiles });
+    const latest = await runJob('check-data-quality-rules.js', twice);
+    checks.check('latest_file checks the uploaded value, not the sum', latest.dataQualityViolations.length === 1 &&
+      latest.dataQualityViolations[0].left.value === 15 && latest.dataQualityViolations[0].right.value === 10,
+      latest.dataQualityViolations.map(violation => violation.message).join('; '));
+    const summed = await runJob('check-data-quality-rules.js', { ...twice, conflictConfig: { resolution: 'sum' } });
+    checks.check('sum checks the added-up value', summed.dataQualityViolations.length === 0,
+      summed.dataQualityViolations.map(violation => violation.message).join('; '));
+  });
+
+  await checks.section('Unknown policy', async () => {
+    let error = null;
+    try {
+      await runJob('check-data-quality-rules.js', { ...processed, dataQualityConfig: { policy: 'exclude' } });
+    } catch (caught) {
+      error = caught;
+    }
+    checks.check('an unknown policy fails the job', Boolean(error) && /Unknown data quality policy 'exclude'/.test(error.message), error ? error.message : 'no error');
+  });
+
+  fs.rmSync(workDir, { recursive: true, force: true });
+  checks.finish();
+}
+
+main().catch(error => {
+  console.error('💥 Data quality exclusion test failed to run:', error);
+  process.exit(1);
+});
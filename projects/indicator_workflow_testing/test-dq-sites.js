@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * DQ sites test for process-excel-data.js and generate-dhis2-payload.js
+ *
+ * Runs the process and payload jobs on a data quality sites workbook (one sheet per indicator, one row per site)
+ * to validate:
+ * 1. Scores and completeness are read as percentages from '95%', 95 and 0.95 alike
+ * 2. A row with a score or completeness but no value is kept; a row with none of them is not
+ * 3. siteMetrics averages each site's score and completeness across the indicator sheets
+ * 4. Mapped metrics become dq_sites data values under the site's orgUnit, not indicator matches
+ * 5. Unmapped indicator sheets and sites without an orgUnit are listed in dqSiteStats
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runJob, writeWorkbook, createChecks } = require('./sftp-dhis2-job-runner');
+
+const HEADER = ['Site', 'Value', 'Concordance', 'Completeness', 'Period'];
+
+async function main() {
+  const checks = createChecks('DQ sites (process-excel-data.js, generate-dhis2-payload.js)');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dq-sites-'));
+
+  const localPath = writeWorkbook(path.join(workDir, 'dq_253_sites.xlsx'), {
+    TX_CURR: [HEADER, ['Area 18', 300, '95%', 0.9, '202506'], ['Kawale', 120, 85, 100, '202506'], ['Lumbadzi', 40, 70, 80, '202506']],
+    TX_NEW: [HEADER, ['Area 18', '', 0.75, '', '202506'], ['Kawale', '', '', '', '202506']],
+    TB_STAT: [HEADER, ['Kawale', 14, 100, 100, '202506']]
+  });
+  const processed = await runJob('process-excel-data.js', {
+    downloadedFiles: [{ key: 'dq_253_sites.xlsx', name: 'dq_253_sites.xlsx', path: '/uploads/dq_253_sites.xlsx', localPath }]
+  });
+  const excelData = processed.processedFiles[0].excelData;
+  const record = (sheet, site) => excelData.sites.find(entry => entry.sheet === sheet && entry.site === site) || {};
+  const describe = entry => `${entry.indicator} ${entry.site}: value ${entry.value}, score ${entry.score}, completeness ${entry.completeness}`;
+
+  await checks.section('Parsed records', async () => {
+    checks.check('the workbook is parsed as dq_sites', excelData.type === 'dq_sites', excelData.type);
+    const areaCurr = record('TX_CURR', 'Area 18');
+    checks.check('a percent string and a fraction are read as percentages', areaCurr.score === 95 && areaCurr.completeness === 90 &&
+      areaCurr.value === 300, describe(areaCurr));
+    const areaNew = record('TX_NEW', 'Area 18');
+    checks.check('a row with a score and no value is kept', areaNew.score === 75 && areaNew.value === null && areaNew.indicator === 'TX_NEW',
+      describe(areaNew));
+    checks.check('a row with no value, score or completeness is not kept', !record('TX_NEW', 'Kawale').site,
+      excelData.sites.filter(entry => entry.sheet === 'TX_NEW').map(describe).join('; '));
+  });
+
+  await checks.section('Site metrics', async () => {
+    const metrics = site => excelData.siteMetrics.find(entry => entry.site === site) || {};
+    const area = metrics('Area 18');
+    checks.check('scores and completeness are averaged across sheets', area.indicators === 2 && area.averageScore === 85 &&
+      area.averageCompleteness === 90, JSON.stringify(area));
+    const kawale = metrics('Kawale');
+    checks.check('every site with records has metrics', excelData.siteMetrics.length === 3 && kawale.indicators === 2 &&
+      kawale.averageScore === 92.5, JSON.stringify(excelData.siteMetrics));
+  });
+
+  await checks.section('Payload', async () => {
+    const state = await runJob('generate-dhis2-payload.js', {
+      ...processed,
+      reportConfig: {
+        catAttrCombo: 'HllvX50cXC0',
+        dataSet: 'BfMAe6Itzgt',
+        orgUnit: 'rXoaHGAXWy9',
+        hivStagesReportMapping: { TX_CURR: 'ZiOVcrSjSYe', TX_NEW: 'dwEq7wi6nXV' },
+        dqSitesMapping: {
+          TX_CURR: { value: 'DqTxCurrVal', score: 'DqTxCurrSco', completeness: 'DqTxCurrCmp' },
+          TX_NEW: { score: 'DqTxNewScor' }
+        },
+        siteOrgUnits: { 'Area 18': 'Area18OrgUn', Kawale: 'KawaleOrgUn' }
+      }
+    });
+    const dataValues = state.payload.dataValues;
+    const uploaded = dataValues.map(dataValue => `${dataValue.orgUnit} ${dataValue.dataElement}=${dataValue.value}`).sort();
+    checks.check('mapped metrics are uploaded per site orgUnit', JSON.stringify(uploaded) === JSON.stringify([
+      'Area18OrgUn DqTxCurrCmp=90', 'Area18OrgUn DqTxCurrSco=95', 'Area18OrgUn DqTxCurrVal=300', 'Area18OrgUn DqTxNewScor=75',
+      'KawaleOrgUn DqTxCurrCmp=100', 'KawaleOrgUn DqTxCurrSco=85', 'KawaleOrgUn DqTxCurrVal=120'
+    ]), uploaded.join(', '));
+    checks.check('DQ values are their own record type, not indicator matches', dataValues.every(dataValue => dataValue.recordType === 'dq_sites' &&
+      dataValue.matchType === 'dq_site'), JSON.stringify(dataValues.map(dataValue => dataValue.matchType)));
+    const score = dataValues.find(dataValue => dataValue.dataElement === 'DqTxCurrSco') || {};
+    checks.check('each value names its indicator and metric', score.originalIndicator === 'TX_CURR' && score.metric === 'score', JSON.stringify(score));
+    const stats = state.payload.dqSiteStats;
+    checks.check('unmapped sheets and sites are listed', JSON.stringify(stats.unmappedIndicators) === '["TB_STAT"]' &&
+      JSON.stringify(stats.unmappedSites) === '["Lumbadzi"]' && stats.records === 5, JSON.stringify(stats));
+  });
+
+  fs.rmSync(workDir, { recursive: true, force: true });
+  checks.finish();
+}
+
+main().catch(error => {
+  console.error('💥 DQ sites test failed to run:', error);
+  process.exit(1);
+});
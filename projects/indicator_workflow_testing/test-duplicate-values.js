@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * Duplicate value resolution test for generate-dhis2-payload.js
+ *
+ * Runs the process job on two workbooks reporting the same TX_CURR, then the payload job once per
+ * conflictConfig.resolution, to validate:
+ * 1. latest_file keeps the value of the most recently modified file
+ * 2. sum adds the values up, max keeps the largest and reject uploads none of them
+ * 3. Each conflict lists every source cell; values reported once are never conflicts
+ * 4. An unknown resolution fails the job
+ * 5. Names differing only in case, and several names matching one indicator partially, all reach resolution
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runJob, writeWorkbook, createChecks } = require('./sftp-dhis2-job-runner');
+
+async function main() {
+  const checks = createChecks('Duplicate values (generate-dhis2-payload.js)');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicate-values-'));
+
+  // The older file reports the larger value, so latest_file and max disagree
+  const downloadedFiles = [
+    { name: 'hiv_june_v2.xlsx', modifiedTime: '2025-07-02T08:00:00Z', rows: [['TX_CURR', 1200, '202506'], ['HTS_TST', 340, '202506']] },
+    { name: 'hiv_june_v1.xlsx', modifiedTime: '2025-07-01T08:00:00Z', rows: [['TX_CURR', 1500, '202506']] }
+  ].map(({ name, modifiedTime, rows }) => ({
+    key: name,
+    name,
+    path: `/uploads/${name}`,
+    modifiedTime,
+    localPath: writeWorkbook(path.join(workDir, name), [['Indicator', 'Value', 'Period'], ...rows])
+  }));
+  const processed = await runJob('process-excel-data.js', { downloadedFiles });
+
+  const resolve = resolution => runJob('generate-dhis2-payload.js', { ...processed, conflictConfig: { resolution } });
+  const valuesOf = (state, indicator) => state.payload.dataValues
+    .filter(dataValue => dataValue.originalIndicator === indicator)
+    .map(dataValue => dataValue.value);
+
+  await checks.section('latest_file', async () => {
+    const state = await resolve('latest_file');
+    checks.check('the most recently modified file wins', JSON.stringify(valuesOf(state, 'TX_CURR')) === '[1200]', valuesOf(state, 'TX_CURR').join(', '));
+    const conflict = state.valueConflicts[0] || {};
+    checks.check('one conflict listing both source cells', state.valueConflicts.length === 1 &&
+      JSON.stringify((conflict.sources || []).map(source => `${source.workbook} row ${source.row} = ${source.value}`)) ===
+        JSON.stringify(['hiv_june_v2.xlsx row 2 = 1200', 'hiv_june_v1.xlsx row 2 = 1500']),
+      JSON.stringify(conflict.sources));
+    checks.check('a value reported once is uploaded as is', JSON.stringify(valuesOf(state, 'HTS_TST')) === '[340]', valuesOf(state, 'HTS_TST').join(', '));
+    checks.check('sources are not sent to DHIS2', state.payload.dataValues.every(dataValue => !('source' in dataValue)));
+  });
+
+  await checks.section('sum, max and reject', async () => {
+    const sum = await resolve('sum');
+    checks.check('sum adds the values up', JSON.stringify(valuesOf(sum, 'TX_CURR')) === '[2700]', valuesOf(sum, 'TX_CURR').join(', '));
+    const max = await resolve('max');
+    checks.check('max keeps the largest value', JSON.stringify(valuesOf(max, 'TX_CURR')) === '[1500]', valuesOf(max, 'TX_CURR').join(', '));
+    const reject = await resolve('reject');
+    checks.check('reject uploads none of the values', valuesOf(reject, 'TX_CURR').length === 0 && reject.payload.conflictStats.rejected === 1,
+      JSON.stringify(reject.payload.conflictStats));
+    checks.check('reject keeps values reported once', JSON.stringify(valuesOf(reject, 'HTS_TST')) === '[340]', valuesOf(reject, 'HTS_TST').join(', '));
+  });
+
+  await checks.section('Name variants', async () => {
+    const variantsPath = writeWorkbook(path.join(workDir, 'hiv_variants.xlsx'), [
+      ['Indicator', 'Value', 'Period'],
+      ['TX_CURR', 1200, '202506'],
+      ['Tx_Curr', 1300, '202506'],
+      ['TX_PVLS site A', 40, '202506'],
+      ['TX_PVLS site B', 2, '202506']
+    ]);
+    const variants = await runJob('process-excel-data.js', {
+      downloadedFiles: [{ key: 'hiv_variants.xlsx', name: 'hiv_variants.xlsx', path: '/uploads/hiv_variants.xlsx', localPath: variantsPath }]
+    });
+    const state = await runJob('generate-dhis2-payload.js', { ...variants, conflictConfig: { resolution: 'sum' } });
+    checks.check('values differing only in case are both resolved', JSON.stringify(valuesOf(state, 'TX_CURR')) === '[2500]', valuesOf(state, 'TX_CURR').join(', '));
+    checks.check('every partial match is resolved, not only the first', JSON.stringify(valuesOf(state, 'TX_PVLS')) === '[42]', valuesOf(state, 'TX_PVLS').join(', '));
+    const conflicted = state.valueConflicts.map(conflict => conflict.indicator).sort();
+    checks.check('both conflicts are listed', JSON.stringify(conflicted) === '["TX_CURR","TX_PVLS"]', JSON.stringify(conflicted));
+  });
+
+  await checks.section('Unknown resolution', async () => {
+    let error = null;
+    try {
+      await resolve('newest');
+    } catch (caught) {
+      error = caught;
+    }
+    checks.check('an unknown resolution fails the job', Boolean(error) && /Unknown conflict resolution 'newest'/.test(error.message), error ? error.message : 'no error');
+  });
+
+  fs.rmSync(workDir, { recursive: true, force: true });
+  checks.finish();
+}
+
+main().catch(error => {
+  console.error('💥 Duplicate value test failed to run:', error);
+  process.exit(1);
+});
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/**
+ * File tracking test for update-file-tracking.js
+ *
+ * Runs the tracking job on the state of a run that uploaded one file to validate:
+ * 1. The uploaded file is tracked as processed with its content hash
+ * 2. Listed files without changes are tracked as checked
+ * 3. Files that failed to download or could not be fingerprinted stay untracked, so the next run retries them
+ */
+
+const { runJob, createChecks } = require('./sftp-dhis2-job-runner');
+
+const listed = key => ({ key, name: key.split('/').pop(), size: 100, modifiedTime: '2025-07-01T08:00:00Z', path: `/uploads/${key}` });
+
+async function main() {
+  const checks = createChecks('File tracking (update-file-tracking.js)');
+
+  const state = await runJob('update-file-tracking.js', {
+    uploadCompleted: true,
+    currentFileList: {
+      'hiv/june.xlsx': listed('hiv/june.xlsx'),
+      'hiv/may.xlsx': listed('hiv/may.xlsx'),
+      'hiv/broken.xlsx': listed('hiv/broken.xlsx'),
+      'hiv/locked.xlsx': listed('hiv/locked.xlsx')
+    },
+    processedFiles: [{ ...listed('hiv/june.xlsx'), contentHash: 'abc123', excelData: { cellErrors: [] } }],
+    failedDownloads: [{ key: 'hiv/broken.xlsx', name: 'broken.xlsx', error: 'Connection lost' }],
+    fingerprintErrors: [{ key: 'hiv/locked.xlsx', fileName: 'locked.xlsx', error: 'Permission denied' }]
+  });
+  const tracking = state.fileTracking || {};
+
+  await checks.section('Tracked files', async () => {
+    const june = tracking['hiv/june.xlsx'] || {};
+    checks.check('the uploaded file is processed', june.status === 'processed' && june.contentHash === 'abc123', `${june.status} ${june.contentHash}`);
+    checks.check('an unchanged listed file is checked', (tracking['hiv/may.xlsx'] || {}).status === 'checked', (tracking['hiv/may.xlsx'] || {}).status);
+  });
+
+  await checks.section('Files to retry', async () => {
+    checks.check('a failed download stays untracked', !tracking['hiv/broken.xlsx'], JSON.stringify(tracking['hiv/broken.xlsx']));
+    checks.check('a file that could not be fingerprinted stays untracked', !tracking['hiv/locked.xlsx'], JSON.stringify(tracking['hiv/locked.xlsx']));
+  });
+
+  checks.finish();
+}
+
+main().catch(error => {
+  console.error('💥 File tracking test failed to run:', error);
+  process.exit(1);
+});
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * Folder routing test for check-sftp-files.js and download-sftp-files.js
+ *
+ * Both jobs carry their own copy of resolveRouting (OpenFn jobs are standalone files). Runs the cron check
+ * on an in-memory SFTP tree and a signed file-change webhook for each of its files to validate:
+ * 1. Each file gets the same key and routing (route, captures, orgUnit, dataSet) from either trigger
+ * 2. Folder names are matched case-insensitively and looked up in districtOrgUnits/programDataSets
+ * 3. Files outside every route get no orgUnit or dataSet
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { runJob, createChecks } = require('./sftp-dhis2-job-runner');
+
+const LOCAL_DOWNLOAD_PATH = '/tmp/openfn-downloads/';
+const WEBHOOK_SECRET = 'routing-test-secret';
+
+const FILES = [
+  'hiv-indicators/june.xlsx',
+  'lilongwe/hiv-indicators/june.xlsx',
+  'Zomba/HIV-Indicators/report.xlsx',
+  'zomba/tb/report.xlsx',
+  'blantyre/report.xlsx',
+  'report.csv'
+];
+
+const scanConfig = {
+  stability: { mode: 'off' },
+  districtOrgUnits: { lilongwe: 'LilongweOU1', zomba: 'ZombaOrgU01' }
+};
+
+// Stand-in for @openfn/language-sftp serving FILES below /uploads/
+const sftp = {
+  list: directory => async state => {
+    const folder = directory.substring('/uploads/'.length);
+    const entries = new Map();
+    FILES.filter(file => file.startsWith(folder)).forEach(file => {
+      const [name, ...rest] = file.substring(folder.length).split('/');
+      entries.set(name, rest.length > 0
+        ? { type: 'directory', name }
+        : { type: 'file', name, size: file.length, modifiedTime: '2025-07-01T08:00:00Z' });
+    });
+    return { ...state, data: [...entries.values()] };
+  },
+  get: (remotePath, localPath) => async state => {
+    fs.mkdirSync(localPath.substring(0, localPath.lastIndexOf('/')), { recursive: true });
+    fs.writeFileSync(localPath, remotePath.substring('/uploads/'.length));
+    return state;
+  },
+  stat: () => async state => state
+};
+
+function signedWebhook(filePath) {
+  const body = { filePath, timestamp: new Date().toISOString(), action: 'close_write' };
+  const canonical = JSON.stringify(Object.fromEntries(Object.keys(body).sort().map(field => [field, body[field]])));
+  return { ...body, signature: `sha256=${crypto.createHmac('sha256', WEBHOOK_SECRET).update(canonical).digest('hex')}` };
+}
+
+async function main() {
+  const checks = createChecks('Folder routing (check-sftp-files.js, download-sftp-files.js)');
+  const adaptors = { '@openfn/language-sftp': sftp };
+
+  const checked = await runJob('check-sftp-files.js', { scanConfig }, { adaptors });
+  const cronRouting = checked.currentFileList;
+  const webhookRouting = {};
+  for (const file of FILES) {
+    const state = await runJob('download-sftp-files.js', {
+      scanConfig,
+      configuration: { webhookSecret: WEBHOOK_SECRET },
+      data: signedWebhook(`/uploads/${file}`)
+    }, { adaptors });
+    const downloaded = (state.downloadedFiles || [])[0];
+    webhookRouting[file] = downloaded ? { key: downloaded.key, routing: downloaded.routing } : { error: state.webhookRejection };
+  }
+  FILES.forEach(file => fs.rmSync(`${LOCAL_DOWNLOAD_PATH}${file}`, { force: true }));
+
+  await checks.section('Same routing from either trigger', async () => {
+    FILES.forEach(file => {
+      const cron = cronRouting[file] ? { key: cronRouting[file].key, routing: cronRouting[file].routing } : null;
+      checks.check(file, JSON.stringify(cron) === JSON.stringify(webhookRouting[file]),
+        `cron ${JSON.stringify(cron)}, webhook ${JSON.stringify(webhookRouting[file])}`);
+    });
+  });
+
+  await checks.section('Routes', async () => {
+    const routing = file => (cronRouting[file] || {}).routing || {};
+    checks.check('a fixed route sets its orgUnit and dataSet', routing('hiv-indicators/june.xlsx').orgUnit === 'rXoaHGAXWy9' &&
+      routing('hiv-indicators/june.xlsx').dataSet === 'BfMAe6Itzgt', JSON.stringify(routing('hiv-indicators/june.xlsx')));
+    checks.check('district and program folders are looked up case-insensitively', routing('Zomba/HIV-Indicators/report.xlsx').orgUnit === 'ZombaOrgU01' &&
+      routing('Zomba/HIV-Indicators/report.xlsx').dataSet === 'BfMAe6Itzgt', JSON.stringify(routing('Zomba/HIV-Indicators/report.xlsx')));
+    checks.check('an unknown program has no dataSet', routing('zomba/tb/report.xlsx').orgUnit === 'ZombaOrgU01' &&
+      routing('zomba/tb/report.xlsx').dataSet === null, JSON.stringify(routing('zomba/tb/report.xlsx')));
+    checks.check('a file outside every route has no orgUnit or dataSet', routing('blantyre/report.xlsx').route === null &&
+      routing('report.csv').orgUnit === null, `${JSON.stringify(routing('blantyre/report.xlsx'))} ${JSON.stringify(routing('report.csv'))}`);
+  });
+
+  checks.finish();
+}
+
+main().catch(error => {
+  console.error('💥 Folder routing test failed to run:', error);
+  process.exit(1);
+});
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Header detection and column synonym test for process-excel-data.js
+ *
+ * Runs the process job on workbooks with title rows and differently spelled headers to validate:
+ * 1. The header row is found below title rows, within parsingConfig.headerSearchRows
+ * 2. Headers map to fields through the synonym dictionary regardless of case, whitespace and punctuation
+ * 3. parsingConfig.columnSynonyms adds synonyms to the dictionary
+ * 4. Recognized and ignored headers are reported per sheet; a second column for a field is ignored
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runJob, writeWorkbook, createChecks } = require('./sftp-dhis2-job-runner');
+
+const TITLE_ROWS = [['Ministry of Health Malawi'], ['Quarterly HIV report'], [], ['Prepared by: M&E officer']];
+
+async function main() {
+  const checks = createChecks('Header detection and column synonyms (process-excel-data.js)');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'header-synonyms-'));
+
+  const indicatorsPath = writeWorkbook(path.join(workDir, 'hiv_report.xlsx'), [
+    ...TITLE_ROWS,
+    [' INDICATOR NAME ', 'Result:', 'Reporting-Period', 'Org_Unit', 'REMARKS', 'Count', 'Checked by'],
+    ['TX_CURR', 1200, '202506', 'KawaleOrgUn', 'verified', 5, 'JB']
+  ]);
+  const queriesPath = writeWorkbook(path.join(workDir, 'queries.xlsx'), [
+    ['Health Facility', 'Query', 'TOTAL'],
+    ['Area 18', 'TX_CURR', 300]
+  ], 'COHORT_REPORT');
+  const achievedPath = writeWorkbook(path.join(workDir, 'achieved.xlsx'), [
+    ['Indicator', 'Achieved', 'Period'],
+    ['TX_CURR', 1200, '202506']
+  ]);
+  const files = [['hiv_report.xlsx', indicatorsPath], ['queries.xlsx', queriesPath], ['achieved.xlsx', achievedPath]];
+  const processFiles = parsingConfig => runJob('process-excel-data.js', {
+    downloadedFiles: files.map(([name, localPath]) => ({ key: name, name, path: `/uploads/${name}`, localPath })),
+    parsingConfig
+  });
+  const excelData = (state, name) => (state.processedFiles.find(file => file.name === name) || {}).excelData || {};
+  const firstSheet = data => (data.sheetSummaries || [])[0] || {};
+
+  const state = await processFiles(undefined);
+
+  await checks.section('Header row', async () => {
+    const summary = firstSheet(excelData(state, 'hiv_report.xlsx'));
+    checks.check('the header row is found below four title rows', summary.headerRow === 5, JSON.stringify(summary));
+    const limited = await processFiles({ headerSearchRows: 3 });
+    const limitedSummary = firstSheet(excelData(limited, 'hiv_report.xlsx'));
+    checks.check('a header below headerSearchRows is not searched for', limitedSummary.headerRow !== 5, JSON.stringify(limitedSummary));
+  });
+
+  await checks.section('Synonyms', async () => {
+    const indicator = (excelData(state, 'hiv_report.xlsx').indicators || [])[0] || {};
+    checks.check('case, whitespace and punctuation variants are recognized', indicator.indicator === 'TX_CURR' && indicator.value === 1200 &&
+      indicator.period === '202506' && indicator.orgUnit === 'KawaleOrgUn' && indicator.comment === 'verified', JSON.stringify(indicator));
+    const query = (excelData(state, 'queries.xlsx').queries || [])[0] || {};
+    checks.check('Health Facility, Query and TOTAL map to site, indicator and value', query.site === 'Area 18' && query.indicator === 'TX_CURR' &&
+      query.value === 300, JSON.stringify(query));
+    const unconfigured = excelData(state, 'achieved.xlsx');
+    checks.check('without a value synonym the workbook is not recognised', unconfigured.type === 'generic' &&
+      unconfigured.detection.type === 'unknown', JSON.stringify(unconfigured.detection));
+    const configured = await processFiles({ columnSynonyms: { value: ['achieved'] } });
+    const achieved = (excelData(configured, 'achieved.xlsx').indicators || [])[0] || {};
+    checks.check('columnSynonyms adds to the dictionary', achieved.value === 1200, JSON.stringify(achieved));
+  });
+
+  await checks.section('Reported headers', async () => {
+    const summary = firstSheet(excelData(state, 'hiv_report.xlsx'));
+    checks.check('recognized headers are reported with their field', JSON.stringify(summary.recognizedHeaders) === JSON.stringify({
+      'INDICATOR NAME': 'indicator', 'Result:': 'value', 'Reporting-Period': 'period', Org_Unit: 'orgUnit', REMARKS: 'comment'
+    }), JSON.stringify(summary.recognizedHeaders));
+    checks.check('a second value column and unknown headers are ignored', JSON.stringify(summary.ignoredHeaders) === '["Count","Checked by"]',
+      JSON.stringify(summary.ignoredHeaders));
+  });
+
+  fs.rmSync(workDir, { recursive: true, force: true });
+  checks.finish();
+}
+
+main().catch(error => {
+  console.error('💥 Header synonym test failed to run:', error);
+  process.exit(1);
+});
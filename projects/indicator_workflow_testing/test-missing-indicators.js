@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+/**
+ * Missing indicator test for generate-dhis2-payload.js
+ *
+ * Runs the process and payload jobs on a workbook with blank, suppressed and unreported indicators to validate:
+ * 1. Missing (N/A) and suppressed (<5) values are left out of the payload, not uploaded as 0, and only counted as info findings
+ * 2. They are not filled in from a similarly named indicator (HTS_TST from HTS_TST_POS, TX_PVLS from TX_CURR)
+ * 3. Indicators the workbook does not report at all are left out rather than defaulted to 0
+ * 4. Direct query totals are uploaded per site under the site's orgUnit, never matched into the national orgUnit
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runJob, writeWorkbook, createChecks } = require('./sftp-dhis2-job-runner');
+
+async function main() {
+  const checks = createChecks('Missing and suppressed indicators (generate-dhis2-payload.js)');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'missing-indicators-'));
+
+  const localPath = writeWorkbook(path.join(workDir, 'hiv_report.xlsx'), [
+    ['Indicator', 'Value', 'Period'],
+    ['HTS_TST', 'N/A', '202506'],
+    ['HTS_TST_POS', 12, '202506'],
+    ['TX_CURR', 1000, '202506'],
+    ['TX_PVLS', '<5', '202506']
+  ]);
+
+  const processed = await runJob('process-excel-data.js', {
+    downloadedFiles: [{ key: 'hiv_report.xlsx', name: 'hiv_report.xlsx', path: '/uploads/hiv_report.xlsx', localPath }]
+  });
+  const state = await runJob('generate-dhis2-payload.js', processed);
+  const dataValues = (state.payload && state.payload.dataValues) || [];
+  const valuesOf = indicator => dataValues.filter(dataValue => dataValue.originalIndicator === indicator).map(dataValue => dataValue.value);
+
+  await checks.section('Reported values', async () => {
+    checks.check('HTS_TST_POS is uploaded as reported', JSON.stringify(valuesOf('HTS_TST_POS')) === '[12]', valuesOf('HTS_TST_POS').join(', '));
+    checks.check('TX_CURR is uploaded as reported', JSON.stringify(valuesOf('TX_CURR')) === '[1000]', valuesOf('TX_CURR').join(', '));
+  });
+
+  await checks.section('Missing and suppressed values', async () => {
+    checks.check('N/A HTS_TST is not uploaded or filled from HTS_TST_POS', valuesOf('HTS_TST').length === 0, valuesOf('HTS_TST').join(', '));
+    checks.check('suppressed TX_PVLS is not uploaded or filled from TX_CURR', valuesOf('TX_PVLS').length === 0, valuesOf('TX_PVLS').join(', '));
+    checks.check('both are counted as missing values', state.payload.matchingStats.missingValues === 2, JSON.stringify(state.payload.matchingStats));
+    const validation = processed.processedFiles[0].excelData.validation;
+    checks.check('their info findings are counted, not listed', validation.counts.info === 2 &&
+      !validation.findings.some(finding => finding.severity === 'info'), JSON.stringify(validation.counts));
+  });
+
+  await checks.section('Unreported indicators', async () => {
+    checks.check('unreported TX_NEW is not uploaded', valuesOf('TX_NEW').length === 0, valuesOf('TX_NEW').join(', '));
+    checks.check('only the two reported values are uploaded', dataValues.length === 2,
+      dataValues.map(dataValue => `${dataValue.originalIndicator}=${dataValue.value} (${dataValue.matchType})`).join(', '));
+    checks.check('unreported indicators are counted', state.payload.matchingStats.noMatches === 8, JSON.stringify(state.payload.matchingStats));
+  });
+
+  await checks.section('Direct query totals', async () => {
+    const queriesPath = writeWorkbook(path.join(workDir, 'queries_june.xlsx'), [
+      ['Site', 'Indicator', 'Value', 'Period'],
+      ['Area 18', 'TX_CURR', 300, '202506'],
+      ['Kawale', 'tx_curr', 200, '202506'],
+      ['Bwaila', 'TX_CURR', '<5', '202506'],
+      ['Lumbadzi', 'TX_CURR', 50, '202506']
+    ], 'TX_RTT');
+    const queries = await runJob('process-excel-data.js', {
+      downloadedFiles: [{ key: 'queries_june.xlsx', name: 'queries_june.xlsx', path: '/uploads/queries_june.xlsx', localPath: queriesPath }]
+    });
+    const reportConfig = {
+      catAttrCombo: 'HllvX50cXC0',
+      dataSet: 'BfMAe6Itzgt',
+      orgUnit: 'rXoaHGAXWy9',
+      hivStagesReportMapping: { TX_CURR: 'ZiOVcrSjSYe' },
+      siteOrgUnits: { 'Area 18': 'Area18OrgUn', Kawale: 'KawaleOrgUn', Bwaila: 'BwailaOrgUn' }
+    };
+    const queryState = await runJob('generate-dhis2-payload.js', { ...queries, reportConfig });
+    const uploaded = queryState.payload.dataValues.map(dataValue => `${dataValue.orgUnit}=${dataValue.value}`).sort();
+    checks.check('each site total is uploaded under its own orgUnit', JSON.stringify(uploaded) === '["Area18OrgUn=300","KawaleOrgUn=200"]', uploaded.join(', '));
+    const stats = queryState.payload.siteQueryStats;
+    checks.check('the suppressed site value is counted as missing', stats.missingValues === 1, JSON.stringify(stats));
+    checks.check('a site without an orgUnit is listed, not uploaded nationally', JSON.stringify(stats.unmappedSites) === '["Lumbadzi"]', JSON.stringify(stats));
+  });
+
+  fs.rmSync(workDir, { recursive: true, force: true });
+  checks.finish();
+}
+
+main().catch(error => {
+  console.error('💥 Missing indicator test failed to run:', error);
+  process.exit(1);
+});
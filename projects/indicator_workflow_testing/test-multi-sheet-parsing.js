@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * Multi-sheet parsing test for process-excel-data.js
+ *
+ * Runs the process job on a six-sheet Direct Queries workbook and an eleven-sheet DQ sites workbook to validate:
+ * 1. Every sheet is parsed, not just the first
+ * 2. Each record carries its sheet name as indicator context, and as indicator when the sheet has no indicator column
+ * 3. Each sheet reports its header row, row count and valid-row count
+ * 4. A sheet's title rows, blank rows and siteless values do not end the other sheets' parsing
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runJob, writeWorkbook, createChecks } = require('./sftp-dhis2-job-runner');
+
+const QUERY_SHEETS = ['COHORT_REPORT', 'TPT_NEW_INITIATIONS', 'TPT_OUTCOMES', 'TX_ML', 'TX_RTT', 'PMTCT_EID'];
+const DQ_SHEETS = ['TX_NEW', 'TX_CURR', 'TX_ML', 'TX_RTT', 'TX_PVLS', 'PMTCT_STAT', 'PMTCT_ART', 'PMTCT_EID', 'TB_STAT', 'TX_TB', 'TPT_NEW'];
+
+const querySheets = {
+  COHORT_REPORT: [['Site', 'Indicator', 'Value'], ['Area 18', 'TX_CURR', 300], ['Kawale', 'TX_CURR', 120], ['', '', 420]],
+  // No indicator column: the sheet name is the indicator
+  TPT_NEW_INITIATIONS: [['Facility', 'Count'], ['Area 18', 25], ['Kawale', 9]],
+  TPT_OUTCOMES: [['Site', 'Indicator', 'Value'], ['Area 18', 'TPT_COMPLETED', 20]],
+  TX_ML: [['Lilongwe Direct Queries - TX_ML', '', ''], [], ['Site', 'Indicator', 'Value'], ['Area 18', 'TX_ML', 4], ['Kawale', 'TX_ML', 2]],
+  TX_RTT: [['Site', 'Indicator', 'Value']],
+  PMTCT_EID: [['Site', 'Indicator', 'Value'], ['Kawale', 'PMTCT_EID', 6]]
+};
+const dqSheets = Object.fromEntries(DQ_SHEETS.map((sheet, index) => [sheet, [
+  ['Site', 'Value', 'Concordance', 'Completeness'],
+  ['Area 18', 100 + index, 90, 100],
+  ['Kawale', 50 + index, 80, 95]
+]]));
+
+async function main() {
+  const checks = createChecks('Multi-sheet parsing (process-excel-data.js)');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'multi-sheet-parsing-'));
+
+  const files = { 'queries_june.xlsx': querySheets, 'dq_253_sites.xlsx': dqSheets };
+  const state = await runJob('process-excel-data.js', {
+    downloadedFiles: Object.entries(files).map(([name, sheets]) => ({
+      key: name, name, path: `/uploads/${name}`, localPath: writeWorkbook(path.join(workDir, name), sheets)
+    }))
+  });
+  const excelData = name => (state.processedFiles.find(file => file.name === name) || {}).excelData || {};
+  const summary = (data, sheet) => (data.sheetSummaries || []).find(entry => entry.sheetName === sheet) || {};
+
+  await checks.section('Direct Queries workbook', async () => {
+    const queries = excelData('queries_june.xlsx');
+    checks.check('the workbook is parsed as direct_queries', queries.type === 'direct_queries', queries.type);
+    const summarized = (queries.sheetSummaries || []).map(entry => entry.sheetName);
+    checks.check('all six sheets are parsed', JSON.stringify(summarized) === JSON.stringify(QUERY_SHEETS), summarized.join(', '));
+    const perSheet = QUERY_SHEETS.map(sheet => `${sheet}=${queries.queries.filter(query => query.sheet === sheet).length}`);
+    checks.check('records come from every sheet with rows', perSheet.join(',') ===
+      'COHORT_REPORT=2,TPT_NEW_INITIATIONS=2,TPT_OUTCOMES=1,TX_ML=2,TX_RTT=0,PMTCT_EID=1', perSheet.join(', '));
+    checks.check('every record carries its sheet as indicator context', queries.queries.every(query => query.indicatorContext === query.sheet),
+      queries.queries.map(query => `${query.sheet}:${query.indicatorContext}`).join(', '));
+    const initiations = queries.queries.filter(query => query.sheet === 'TPT_NEW_INITIATIONS').map(query => `${query.site} ${query.indicator}=${query.value}`);
+    checks.check('a sheet without an indicator column names its records', JSON.stringify(initiations) ===
+      '["Area 18 TPT_NEW_INITIATIONS=25","Kawale TPT_NEW_INITIATIONS=9"]', initiations.join(', '));
+  });
+
+  await checks.section('Sheet summaries', async () => {
+    const queries = excelData('queries_june.xlsx');
+    const cohort = summary(queries, 'COHORT_REPORT');
+    checks.check('a siteless total is counted but not valid', cohort.totalRows === 3 && cohort.validRows === 2, JSON.stringify(cohort));
+    checks.check('the siteless total is reported as a cell error', (queries.cellErrors || []).some(error => error.sheet === 'COHORT_REPORT' &&
+      /no site/.test(error.reason)), JSON.stringify(queries.cellErrors));
+    const txMl = summary(queries, 'TX_ML');
+    checks.check('a header below a title row is found', txMl.headerRow === 3 && txMl.validRows === 2, JSON.stringify(txMl));
+    const txRtt = summary(queries, 'TX_RTT');
+    checks.check('a header-only sheet has no rows', txRtt.totalRows === 0 && txRtt.validRows === 0, JSON.stringify(txRtt));
+  });
+
+  await checks.section('DQ sites workbook', async () => {
+    const dq = excelData('dq_253_sites.xlsx');
+    const summarized = (dq.sheetSummaries || []).map(entry => `${entry.sheetName}:${entry.validRows}`);
+    checks.check('all eleven sheets are parsed with two valid rows each', dq.type === 'dq_sites' &&
+      JSON.stringify(summarized) === JSON.stringify(DQ_SHEETS.map(sheet => `${sheet}:2`)), summarized.join(', '));
+    const lastSheet = dq.sites.filter(site => site.sheet === 'TPT_NEW').map(site => `${site.site} ${site.indicator}=${site.value}`);
+    checks.check('the last sheet is parsed like the first', JSON.stringify(lastSheet) === '["Area 18 TPT_NEW=110","Kawale TPT_NEW=60"]',
+      lastSheet.join(', '));
+  });
+
+  fs.rmSync(workDir, { recursive: true, force: true });
+  checks.finish();
+}
+
+main().catch(error => {
+  console.error('💥 Multi-sheet parsing test failed to run:', error);
+  process.exit(1);
+});
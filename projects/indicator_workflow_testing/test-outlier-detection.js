@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * Outlier detection test for detect-outliers.js
+ *
+ * Runs the outlier job on payload values against a prepared value history to validate:
+ * 1. z_score and mad flag a value far from its history, with the expected range
+ * 2. mad still flags a value when one earlier outlier has widened the z_score range
+ * 3. Values with too little or unchanging history, and name-matched values, are not checked
+ * 4. holdBack marks outliers as held back, and the history can be read from a local file
+ * 5. An unknown method or a minHistory below 2 fails the job
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runJob, createChecks } = require('./sftp-dhis2-job-runner');
+
+const ORG_UNIT = 'OrgUnitAaaa';
+const COC = 'HllvX50cXC0';
+
+const dataValue = (dataElement, value, matchType = 'exact') => ({
+  dataElement, period: '202506', orgUnit: ORG_UNIT, categoryOptionCombo: COC, value, matchType, originalIndicator: dataElement
+});
+const history = values => ({ values: Object.fromEntries(values.map((value, index) => [`20250${index + 1}`, value])) });
+
+const valueHistory = {
+  [`${ORG_UNIT}|TxCurr00001|${COC}`]: history([1180, 1210, 1195, 1220, 1205]),
+  [`${ORG_UNIT}|HtsTst00001|${COC}`]: history([100, 102, 98, 101, 5000]),
+  [`${ORG_UNIT}|TxNew000001|${COC}`]: history([40, 42]),
+  [`${ORG_UNIT}|TxMl0000001|${COC}`]: history([3, 3, 3, 3, 3]),
+  [`${ORG_UNIT}|PrepNew0001|${COC}`]: history([7, 8, 7, 9, 8])
+};
+
+const payload = {
+  period: '202506',
+  dataValues: [
+    dataValue('TxCurr00001', 12000),
+    dataValue('HtsTst00001', 300),
+    dataValue('TxNew000001', 900),
+    dataValue('TxMl0000001', 30),
+    dataValue('PrepNew0001', 800, 'fuzzy')
+  ]
+};
+
+async function main() {
+  const checks = createChecks('Outlier detection (detect-outliers.js)');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outlier-detection-'));
+
+  const state = await runJob('detect-outliers.js', { payload, valueHistory });
+  const outlier = dataElement => state.outliers.find(entry => entry.dataElement === dataElement);
+  const flaggedBy = dataElement => (outlier(dataElement) ? outlier(dataElement).methods.filter(method => method.outlier).map(method => method.method) : []);
+
+  await checks.section('Outliers', async () => {
+    const txCurr = outlier('TxCurr00001') || {};
+    checks.check('a value ten times its history is flagged by both methods', JSON.stringify(flaggedBy('TxCurr00001')) === '["z_score","mad"]',
+      JSON.stringify(txCurr.methods));
+    checks.check('the expected range surrounds the history', txCurr.expectedRange && txCurr.expectedRange.lower > 1100 && txCurr.expectedRange.upper < 1300,
+      JSON.stringify(txCurr.expectedRange));
+    checks.check('mad flags a value that one earlier outlier hides from z_score', JSON.stringify(flaggedBy('HtsTst00001')) === '["mad"]',
+      JSON.stringify((outlier('HtsTst00001') || {}).methods));
+    checks.check('outliers are only held back when configured', state.outliers.every(entry => entry.heldBack === false), '');
+  });
+
+  await checks.section('Values not checked', async () => {
+    const summary = state.outlierSummary;
+    checks.check('too little and unchanging history are not checked', !outlier('TxNew000001') && !outlier('TxMl0000001') &&
+      summary.insufficientHistory === 2, JSON.stringify(summary));
+    checks.check('a fuzzy-matched value is not checked', !outlier('PrepNew0001') && summary.notReported === 1, JSON.stringify(summary));
+  });
+
+  await checks.section('Held back from a file history', async () => {
+    const historyPath = path.join(workDir, 'value-history.json');
+    fs.writeFileSync(historyPath, JSON.stringify(valueHistory));
+    const held = await runJob('detect-outliers.js', {
+      payload,
+      outlierConfig: { holdBack: true },
+      valueHistoryConfig: { store: 'file', path: historyPath }
+    });
+    checks.check('outliers found from the file history are held back', held.outliers.length === 2 && held.outliers.every(entry => entry.heldBack),
+      held.outliers.map(entry => `${entry.dataElement} ${entry.heldBack}`).join(', '));
+  });
+
+  await checks.section('Configuration errors', async () => {
+    const failure = async outlierConfig => runJob('detect-outliers.js', { payload, valueHistory, outlierConfig }).then(() => null, error => error.message);
+    const unknownMethod = await failure({ methods: ['iqr'] });
+    checks.check('an unknown method fails the job', /Unknown outlier method/.test(unknownMethod || ''), unknownMethod);
+    const shortHistory = await failure({ minHistory: 1 });
+    checks.check('a minHistory below 2 fails the job', /minHistory/.test(shortHistory || ''), shortHistory);
+  });
+
+  fs.rmSync(workDir, { recursive: true, force: true });
+  checks.finish();
+}
+
+main().catch(error => {
+  console.error('💥 Outlier detection test failed to run:', error);
+  process.exit(1);
+});
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Reporting completeness test for check-reporting-completeness.js
+ *
+ * Runs the process, payload, outlier and completeness jobs for two expected facilities, one of which sends
+ * nothing, to validate:
+ * 1. Missing (N/A) and unreported indicators count as not reported
+ * 2. Values filled in by fuzzy name matching count as not reported
+ * 3. Outliers held back from the upload count as not reported
+ * 4. A facility that sent nothing is listed as missing
+ * 5. Values only count for the dataset their file was routed to; DQ site values count under their indicator name
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runJob, writeWorkbook, createChecks } = require('./sftp-dhis2-job-runner');
+
+const DATA_SET = 'BfMAe6Itzgt';
+const FACILITY_A = 'OrgUnitAaaa';
+const FACILITY_B = 'OrgUnitBbbb';
+
+async function main() {
+  const checks = createChecks('Reporting completeness (check-reporting-completeness.js)');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reporting-completeness-'));
+
+  // TX_NEW is far above its history and held back; 'PrEP NEW clients' only fuzzily matches PrEP_NEW
+  const localPath = writeWorkbook(path.join(workDir, 'hiv_facility_a.xlsx'), [
+    ['Indicator', 'Value', 'Period'],
+    ['HTS_TST', 10, '202506'],
+    ['TX_CURR', 'N/A', '202506'],
+    ['TX_NEW', 500, '202506'],
+    ['PrEP NEW clients', 7, '202506']
+  ]);
+  const txNewHistory = { values: { '202501': 5, '202502': 6, '202503': 5, '202504': 7, '202505': 6 } };
+
+  const processed = await runJob('process-excel-data.js', {
+    downloadedFiles: [{
+      key: 'facility-a/hiv_facility_a.xlsx',
+      name: 'hiv_facility_a.xlsx',
+      path: '/uploads/facility-a/hiv_facility_a.xlsx',
+      localPath,
+      routing: { orgUnit: FACILITY_A, dataSet: DATA_SET }
+    }],
+    outlierConfig: { holdBack: true },
+    valueHistory: { [`${FACILITY_A}|dwEq7wi6nXV|HllvX50cXC0`]: txNewHistory },
+    completenessConfig: {
+      expectedReporters: {
+        [DATA_SET]: {
+          name: 'HIV indicators',
+          orgUnits: { [FACILITY_A]: 'Facility A', [FACILITY_B]: 'Facility B' },
+          indicators: ['HTS_TST', 'TX_CURR', 'TX_NEW', 'PrEP_NEW']
+        }
+      }
+    }
+  });
+  const generated = await runJob('generate-dhis2-payload.js', processed);
+  const checkedOutliers = await runJob('detect-outliers.js', generated);
+  const state = await runJob('check-reporting-completeness.js', checkedOutliers);
+
+  const report = (state.completenessReport || [])[0] || {};
+  const facility = orgUnit => (report.facilities || []).find(entry => entry.orgUnit === orgUnit) || {};
+
+  await checks.section('Setup', async () => {
+    const matchTypes = ((generated.payload && generated.payload.dataValues) || []).map(dataValue => `${dataValue.originalIndicator}:${dataValue.matchType}`);
+    checks.check('PrEP_NEW is only in the payload through fuzzy matching', matchTypes.includes('PrEP_NEW:fuzzy'), matchTypes.join(', '));
+    const heldBack = (checkedOutliers.outliers || []).filter(outlier => outlier.heldBack).map(outlier => outlier.indicator);
+    checks.check('TX_NEW is held back as an outlier', JSON.stringify(heldBack) === '["TX_NEW"]', heldBack.join(', '));
+  });
+
+  await checks.section('Completeness', async () => {
+    checks.check('one report for the dataset and period', state.completenessReport.length === 1 && report.period === '202506',
+      state.completenessReport.map(entry => `${entry.dataSet} ${entry.period}`).join(', '));
+    checks.check('facility A reported HTS_TST only', facility(FACILITY_A).reported === 1, JSON.stringify(facility(FACILITY_A)));
+    checks.check('missing, held-back and fuzzy-matched indicators are listed as missing',
+      JSON.stringify(facility(FACILITY_A).missingIndicators) === JSON.stringify(['TX_CURR', 'TX_NEW', 'PrEP_NEW']),
+      JSON.stringify(facility(FACILITY_A).missingIndicators));
+    checks.check('facility B is listed as missing', JSON.stringify(report.missingFacilities) === JSON.stringify([{ orgUnit: FACILITY_B, name: 'Facility B' }]),
+      JSON.stringify(report.missingFacilities));
+    checks.check('completeness is 1 of 8 expected values', report.completeness === 12.5 && report.facilityCompleteness === 50,
+      `${report.completeness}% of values, ${report.facilityCompleteness}% of facilities`);
+  });
+
+  await checks.section('Datasets', async () => {
+    const dqDataSet = 'DqDataSet01';
+    const dqPath = writeWorkbook(path.join(workDir, 'dq_sites_june.xlsx'), [
+      ['Site', 'Value', 'Score', 'Completeness', 'Period'],
+      ['Bwaila', 120, 95, 100, '202506']
+    ], 'TX_CURR');
+    const dqProcessed = await runJob('process-excel-data.js', {
+      downloadedFiles: [{ key: 'dq/dq_sites_june.xlsx', name: 'dq_sites_june.xlsx', path: '/uploads/dq/dq_sites_june.xlsx', localPath: dqPath }],
+      reportConfig: {
+        catAttrCombo: 'HllvX50cXC0',
+        dataSet: dqDataSet,
+        orgUnit: 'rXoaHGAXWy9',
+        hivStagesReportMapping: {},
+        dqSitesMapping: { TX_CURR: { value: 'DqValue0001', score: 'DqScore0001' } },
+        siteOrgUnits: { Bwaila: FACILITY_B }
+      },
+      completenessConfig: {
+        expectedReporters: {
+          [DATA_SET]: { orgUnits: [FACILITY_B], indicators: ['TX_CURR'] },
+          [dqDataSet]: { orgUnits: [FACILITY_B], indicators: ['TX_CURR'] }
+        }
+      }
+    });
+    const dqGenerated = await runJob('generate-dhis2-payload.js', dqProcessed);
+    const dqState = await runJob('check-reporting-completeness.js', dqGenerated);
+    const reportFor = dataSet => dqState.completenessReport.find(entry => entry.dataSet === dataSet) || {};
+
+    const dqValues = dqGenerated.payload.dataValues.map(dataValue => `${dataValue.dataSet} ${dataValue.originalIndicator} ${dataValue.metric}`);
+    checks.check('DQ site values keep their dataSet and plain indicator name',
+      JSON.stringify(dqValues) === JSON.stringify([`${dqDataSet} TX_CURR value`, `${dqDataSet} TX_CURR score`]), dqValues.join(', '));
+    checks.check('the DQ dataset counts the site as reporting TX_CURR', reportFor(dqDataSet).completeness === 100,
+      JSON.stringify(reportFor(dqDataSet).facilities));
+    checks.check('another dataset expecting TX_CURR from the site does not', reportFor(DATA_SET).completeness === 0,
+      JSON.stringify(reportFor(DATA_SET).facilities));
+  });
+
+  fs.rmSync(workDir, { recursive: true, force: true });
+  checks.finish();
+}
+
+main().catch(error => {
+  console.error('💥 Reporting completeness test failed to run:', error);
+  process.exit(1);
+});
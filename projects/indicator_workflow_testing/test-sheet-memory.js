@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * Sheet memory test for process-excel-data.js
+ *
+ * Runs the process job in a child Node process with a small heap on a workbook holding a
+ * 5,000-row indicator sheet next to three 20,000-row export sheets to validate:
+ * 1. Reading the whole workbook at once does not fit in the heap limit
+ * 2. The process job does fit, since it only reads the sheets it parses (plus capped previews)
+ * 3. The indicator sheet is still parsed in full
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { runJob, workflowRequire, createChecks } = require('./sftp-dhis2-job-runner');
+
+// Old-space limit in MB for the child runs: the job needs about half of it, a full read about twice it
+const HEAP_LIMIT_MB = 48;
+const INDICATOR_ROWS = 5000;
+const EXPORT_SHEETS = 3;
+const EXPORT_ROWS = 20000;
+
+// Child mode: read the workbook one way and print what was read
+async function runChild(mode, localPath) {
+  if (mode === 'job') {
+    const state = await runJob('process-excel-data.js', {
+      downloadedFiles: [{ key: 'hiv_report.xlsx', name: 'hiv_report.xlsx', path: '/uploads/hiv_report.xlsx', localPath }]
+    });
+    const processed = (state.processedFiles || [])[0];
+    console.log(JSON.stringify({ indicators: processed ? processed.excelData.indicators.length : 0 }));
+  } else {
+    const workbook = workflowRequire('xlsx').read(fs.readFileSync(localPath), { type: 'buffer' });
+    console.log(JSON.stringify({ sheets: workbook.SheetNames.length }));
+  }
+}
+
+// Run a child with the heap limit; null when it runs out of memory
+function runLimited(mode, localPath) {
+  try {
+    const output = execFileSync(process.execPath, [`--max-old-space-size=${HEAP_LIMIT_MB}`, __filename, mode, localPath], {
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: 300000
+    });
+    return JSON.parse(output.toString().trim().split('\n').pop());
+  } catch (error) {
+    return null;
+  }
+}
+
+function writeLargeWorkbook(filePath) {
+  const XLSX = workflowRequire('xlsx');
+  const workbook = XLSX.utils.book_new();
+
+  const indicatorRows = [['Indicator', 'Value', 'Period', 'Site']];
+  for (let i = 0; i < INDICATOR_ROWS; i++) {
+    indicatorRows.push(['TX_CURR', i, '202506', `Site ${i}`]);
+  }
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(indicatorRows), 'HIV Indicators');
+
+  for (let sheet = 1; sheet <= EXPORT_SHEETS; sheet++) {
+    const exportRows = [['Site', 'Count', 'Total', 'Week', 'Day', 'Period']];
+    for (let i = 0; i < EXPORT_ROWS; i++) {
+      exportRows.push([`Site ${i % 50}`, i, i * 2, i % 13, i % 7, '202506']);
+    }
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(exportRows), `Raw export ${sheet}`);
+  }
+
+  fs.writeFileSync(filePath, XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx', compression: true }));
+  return filePath;
+}
+
+async function main() {
+  const checks = createChecks(`Sheet memory (process-excel-data.js, ${HEAP_LIMIT_MB} MB heap)`);
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sheet-memory-'));
+  const localPath = writeLargeWorkbook(path.join(workDir, 'hiv_report.xlsx'));
+
+  await checks.section('Heap limit', async () => {
+    const fullRead = runLimited('full', localPath);
+    checks.check('reading the whole workbook at once runs out of memory', fullRead === null,
+      fullRead ? 'completed' : 'ran out of memory');
+    const job = runLimited('job', localPath);
+    checks.check('process job completes within the limit', job !== null, job ? 'completed' : 'ran out of memory');
+    checks.check('indicator sheet is parsed in full', Boolean(job) && job.indicators === INDICATOR_ROWS,
+      job ? `${job.indicators} indicators` : 'no result');
+  });
+
+  fs.rmSync(workDir, { recursive: true, force: true });
+  checks.finish();
+}
+
+const [childMode, childPath] = process.argv.slice(2);
+(childMode ? runChild(childMode, childPath) : main()).catch(error => {
+  console.error('💥 Sheet memory test failed to run:', error);
+  process.exit(1);
+});
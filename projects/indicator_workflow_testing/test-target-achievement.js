@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Target and achievement test for generate-dhis2-payload.js
+ *
+ * Runs the process and payload jobs on an indicator workbook and a direct query workbook with target
+ * columns to validate:
+ * 1. Achievement is the value as a percentage of the target, per indicator, site and period
+ * 2. Values below the threshold (or the indicator's own threshold) are flagged as underperforming
+ * 3. A zero target gives no percentage and is never flagged
+ * 4. Query sites without a total row have their disaggregated rows summed
+ * 5. Mapped targets and achievements are uploaded under the site's orgUnit; unmapped sites are listed
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runJob, writeWorkbook, createChecks } = require('./sftp-dhis2-job-runner');
+
+const NATIONAL = 'rXoaHGAXWy9';
+
+async function main() {
+  const checks = createChecks('Targets and achievement (generate-dhis2-payload.js)');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'target-achievement-'));
+
+  const indicatorsPath = writeWorkbook(path.join(workDir, 'hiv_report.xlsx'), [
+    ['Indicator', 'Value', 'Target', 'Period'],
+    ['TX_CURR', 930, 1000, '202506'],
+    ['HTS_TST', 80, 100, '202506'],
+    ['TX_NEW', 12, 0, '202506'],
+    ['PrEP_NEW', 120, 100, '202506']
+  ]);
+  const queriesPath = writeWorkbook(path.join(workDir, 'queries_june.xlsx'), [
+    ['Site', 'Indicator', 'Disaggregation', 'Value', 'Target', 'Period'],
+    ['Area 18', 'TX_CURR', '', 300, 400, '202506'],
+    ['Kawale', 'TX_CURR', '<15 M', 10, 20, '202506'],
+    ['Kawale', 'TX_CURR', '15+ F', 30, 40, '202506'],
+    ['Lumbadzi', 'TX_CURR', '', 50, 40, '202506']
+  ], 'TX_RTT');
+
+  const processed = await runJob('process-excel-data.js', {
+    downloadedFiles: [
+      { key: 'hiv_report.xlsx', name: 'hiv_report.xlsx', path: '/uploads/hiv_report.xlsx', localPath: indicatorsPath },
+      { key: 'queries_june.xlsx', name: 'queries_june.xlsx', path: '/uploads/queries_june.xlsx', localPath: queriesPath }
+    ]
+  });
+  const state = await runJob('generate-dhis2-payload.js', {
+    ...processed,
+    reportConfig: {
+      catAttrCombo: 'HllvX50cXC0',
+      dataSet: 'BfMAe6Itzgt',
+      orgUnit: NATIONAL,
+      hivStagesReportMapping: { TX_CURR: 'ZiOVcrSjSYe', HTS_TST: 'FTRrcoaog83', TX_NEW: 'dwEq7wi6nXV', PrEP_NEW: 'G7vUx908SwP' },
+      targetMapping: { TX_CURR: { target: 'TxCurrTarg1', achievement: 'TxCurrAchv1' } },
+      siteOrgUnits: { 'Area 18': 'Area18OrgUn', Kawale: 'KawaleOrgUn' }
+    },
+    achievementConfig: { threshold: 90, thresholds: { TX_CURR: 95 } }
+  });
+
+  const achievement = (indicator, site = null) =>
+    (state.achievements || []).find(entry => entry.indicator === indicator && entry.site === site) || {};
+  const describe = entry => `${entry.value}/${entry.target} = ${entry.achievement}% (threshold ${entry.threshold}, underperforming ${entry.underperforming})`;
+
+  await checks.section('Indicator workbook', async () => {
+    const txCurr = achievement('TX_CURR');
+    checks.check('TX_CURR reaches 93% and misses its own 95% threshold', txCurr.achievement === 93 && txCurr.threshold === 95 &&
+      txCurr.underperforming === true, describe(txCurr));
+    const htsTst = achievement('HTS_TST');
+    checks.check('HTS_TST below the default threshold is underperforming', htsTst.achievement === 80 && htsTst.underperforming === true, describe(htsTst));
+    const prepNew = achievement('PrEP_NEW');
+    checks.check('PrEP_NEW above its target is not', prepNew.achievement === 120 && prepNew.underperforming === false, describe(prepNew));
+    const txNew = achievement('TX_NEW');
+    checks.check('a zero target gives no percentage and no flag', txNew.achievement === null && txNew.underperforming === false, describe(txNew));
+  });
+
+  await checks.section('Direct query sites', async () => {
+    const kawale = achievement('TX_CURR', 'Kawale');
+    checks.check('disaggregated rows are summed for a site without a total', kawale.value === 40 && kawale.target === 60 &&
+      kawale.achievement === 66.7, describe(kawale));
+    const area18 = achievement('TX_CURR', 'Area 18');
+    checks.check('a site total is used as it is', area18.achievement === 75, describe(area18));
+  });
+
+  await checks.section('Uploaded targets', async () => {
+    const uploaded = state.payload.dataValues
+      .filter(dataValue => dataValue.matchType === 'target' || dataValue.matchType === 'achievement')
+      .map(dataValue => `${dataValue.orgUnit} ${dataValue.dataElement}=${dataValue.value}`)
+      .sort();
+    checks.check('mapped targets and achievements are uploaded per orgUnit', JSON.stringify(uploaded) === JSON.stringify([
+      'Area18OrgUn TxCurrAchv1=75', 'Area18OrgUn TxCurrTarg1=400',
+      'KawaleOrgUn TxCurrAchv1=66.7', 'KawaleOrgUn TxCurrTarg1=60',
+      `${NATIONAL} TxCurrAchv1=93`, `${NATIONAL} TxCurrTarg1=1000`
+    ]), uploaded.join(', '));
+    checks.check('a site without an orgUnit is listed, not uploaded', JSON.stringify(state.payload.targetStats.unmappedSites) === '["Lumbadzi"]',
+      JSON.stringify(state.payload.targetStats));
+    checks.check('underperforming entries are counted', state.payload.targetStats.underperforming === 4, JSON.stringify(state.payload.targetStats));
+  });
+
+  fs.rmSync(workDir, { recursive: true, force: true });
+  checks.finish();
+}
+
+main().catch(error => {
+  console.error('💥 Target and achievement test failed to run:', error);
+  process.exit(1);
+});
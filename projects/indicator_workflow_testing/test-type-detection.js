@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * Workbook type detection test for process-excel-data.js
+ *
+ * Runs the process job on workbooks whose names say nothing, or the wrong thing, about their content to validate:
+ * 1. The type comes from sheet names and header rows, never from the file name
+ * 2. Header rows below title rows are still recognised
+ * 3. Every type gets a confidence score and the chosen type records its evidence
+ * 4. Workbooks that match no signature are 'unknown' and parsed generically
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runJob, writeWorkbook, createChecks } = require('./sftp-dhis2-job-runner');
+
+const WORKBOOKS = {
+  // Indicator content under a name that used to select the Direct Queries parser
+  'Q2FY25_DQ_253_sites.xlsx': {
+    Sheet1: [['Indicator', 'Value', 'Period'], ['TX_CURR', 1200, '202506']]
+  },
+  'report_final.xlsx': {
+    COHORT_REPORT: [['Facility', 'Indicator', 'Count'], ['Area 18', 'TX_CURR', 300]],
+    TX_ML: [['Facility', 'Indicator', 'Count'], ['Area 18', 'TX_ML', 4]]
+  },
+  // DQ sites content under a name that used to select the HIV indicators parser
+  'HIV_upload.xlsx': {
+    TX_NEW: [['Malawi DQA', '', ''], ['Q2 FY25', '', ''], ['Site', 'Concordance', 'Completeness'], ['Kawale', 92, 100]],
+    TX_CURR: [['Site', 'Concordance', 'Completeness'], ['Kawale', 88, 95]]
+  },
+  'staff_list.xlsx': {
+    Staff: [['Name', 'Role', 'Phone'], ['J. Banda', 'Clerk', '0999000000']]
+  }
+};
+
+async function main() {
+  const checks = createChecks('Workbook type detection (process-excel-data.js)');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'type-detection-'));
+
+  const state = await runJob('process-excel-data.js', {
+    downloadedFiles: Object.entries(WORKBOOKS).map(([name, sheets]) => ({
+      key: name, name, path: `/uploads/${name}`, localPath: writeWorkbook(path.join(workDir, name), sheets)
+    }))
+  });
+  const excelData = name => (state.processedFiles.find(file => file.name === name) || {}).excelData || {};
+  const describe = data => JSON.stringify({ type: data.type, detection: data.detection });
+
+  await checks.section('Detected types', async () => {
+    const mislabelled = excelData('Q2FY25_DQ_253_sites.xlsx');
+    checks.check('indicator content named like a DQ file is hiv_indicators', mislabelled.type === 'hiv_indicators' &&
+      mislabelled.indicators.length === 1, describe(mislabelled));
+    const renamed = excelData('report_final.xlsx');
+    checks.check('a renamed Direct Queries workbook is direct_queries', renamed.type === 'direct_queries', describe(renamed));
+    const dqSites = excelData('HIV_upload.xlsx');
+    checks.check('DQ site content named like an HIV file is dq_sites', dqSites.type === 'dq_sites', describe(dqSites));
+    const header = (dqSites.detection.evidence || []).find(entry => entry.kind === 'header' && entry.field === 'score') || {};
+    checks.check('a header row below title rows is recognised', header.sheet === 'TX_NEW' && header.row === 3 && header.header === 'Concordance',
+      JSON.stringify(header));
+  });
+
+  await checks.section('Confidence and evidence', async () => {
+    const renamed = excelData('report_final.xlsx').detection;
+    checks.check('every type gets a score', Object.keys(renamed.scores).sort().join(',') === 'direct_queries,dq_sites,hiv_indicators' &&
+      renamed.confidence === renamed.scores.direct_queries && renamed.method === 'content', JSON.stringify(renamed.scores));
+    const sheets = renamed.evidence.filter(entry => entry.kind === 'sheetName').map(entry => entry.sheet);
+    checks.check('matching sheet names are recorded as evidence', JSON.stringify(sheets) === '["COHORT_REPORT","TX_ML"]', sheets.join(', '));
+    const fields = renamed.evidence.filter(entry => entry.kind === 'header').map(entry => `${entry.field}=${entry.header}`);
+    checks.check('recognised headers are recorded with their field', ['site=Facility', 'indicator=Indicator', 'value=Count']
+      .every(field => fields.includes(field)), fields.join(', '));
+  });
+
+  await checks.section('Unknown workbooks', async () => {
+    const unknown = excelData('staff_list.xlsx');
+    checks.check('a workbook matching no signature is unknown', unknown.detection.type === 'unknown' &&
+      unknown.detection.confidence < 0.4 && unknown.detection.evidence.length === 0, describe(unknown));
+    checks.check('an unknown workbook is parsed generically', unknown.type === 'generic' && unknown.sheetRowCounts.Staff === 1,
+      JSON.stringify(unknown.sheets));
+  });
+
+  fs.rmSync(workDir, { recursive: true, force: true });
+  checks.finish();
+}
+
+main().catch(error => {
+  console.error('💥 Type detection test failed to run:', error);
+  process.exit(1);
+});
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * Crosstab unpivot test for process-excel-data.js
+ *
+ * Runs the process job with parsingConfig.unpivot rules on sheets with sites in rows and indicators or
+ * age/sex bands in columns to validate:
+ * 1. A three-row header (TX_NEW over <15 / 15+ over F / M) gives one record per value cell with its
+ *    indicator and disaggregation, merged group labels being filled to the right
+ * 2. Blank cells and skipColumns (Total) give no record
+ * 3. Several id columns map to fields, and indicatorRow 0 takes the indicator from the sheet name
+ * 4. Errors point at the value cell, and each sheet reports its unpivot layout
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runJob, writeWorkbook, createChecks } = require('./sftp-dhis2-job-runner');
+
+const unpivot = [
+  { sheets: ['TX_NEW'], headerRows: 3 },
+  { sheets: ['COHORT_REPORT'], idColumns: 2 },
+  { sheets: ['TX_CURR'], indicatorRow: 0 }
+];
+
+async function main() {
+  const checks = createChecks('Crosstab unpivot (process-excel-data.js)');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'unpivot-'));
+
+  const localPath = writeWorkbook(path.join(workDir, 'crosstab_june.xlsx'), {
+    TX_NEW: [
+      ['TX_NEW by age and sex, June 2025'],
+      ['Facility', 'TX_NEW', '', '', '', 'Total'],
+      ['', '<15', '', '15+', '', ''],
+      ['', 'F', 'M', 'F', 'M', ''],
+      ['Area 18', 3, 4, 10, 12, 29],
+      ['Kawale', 1, '', 5, 'n.a.', 6]
+    ],
+    COHORT_REPORT: [
+      ['Site', 'District', 'TX_CURR', 'TX_ML'],
+      ['Area 18', 'Lilongwe', 300, 4]
+    ],
+    TX_CURR: [
+      ['Site', '<15', '15+'],
+      ['Kawale', 20, 100]
+    ]
+  });
+  const state = await runJob('process-excel-data.js', {
+    downloadedFiles: [{ key: 'crosstab_june.xlsx', name: 'crosstab_june.xlsx', path: '/uploads/crosstab_june.xlsx', localPath }],
+    parsingConfig: { unpivot }
+  });
+  const excelData = state.processedFiles[0].excelData;
+  const records = sheet => excelData.queries.filter(query => query.sheet === sheet)
+    .map(query => `${query.site} ${query.indicator} ${query.disaggregation || '-'}=${query.value}`);
+  const summary = sheet => excelData.sheetSummaries.find(entry => entry.sheetName === sheet) || {};
+
+  await checks.section('Multi-row header', async () => {
+    checks.check('the workbook is parsed as direct_queries', excelData.type === 'direct_queries', excelData.type);
+    checks.check('every filled value cell becomes a record with its age and sex', JSON.stringify(records('TX_NEW')) === JSON.stringify([
+      'Area 18 TX_NEW <15 F=3', 'Area 18 TX_NEW <15 M=4', 'Area 18 TX_NEW 15+ F=10', 'Area 18 TX_NEW 15+ M=12',
+      'Kawale TX_NEW <15 F=1', 'Kawale TX_NEW 15+ F=5'
+    ]), records('TX_NEW').join(', '));
+    const areaRecord = excelData.queries.find(query => query.sheet === 'TX_NEW') || {};
+    checks.check('records keep their sheet row', areaRecord.rowNumber === 5, JSON.stringify(areaRecord));
+    const error = (excelData.cellErrors || []).find(entry => entry.sheet === 'TX_NEW') || {};
+    checks.check('a bad value points at its own cell', error.cell === 'E6' && error.field === 'value', JSON.stringify(excelData.cellErrors));
+    const layout = summary('TX_NEW');
+    checks.check('the sheet reports its unpivot layout below the title row', layout.headerRow === 2 &&
+      JSON.stringify(layout.unpivot) === '{"headerRows":3,"idColumns":1,"valueColumns":4}', JSON.stringify(layout));
+  });
+
+  await checks.section('Other layouts', async () => {
+    checks.check('indicator columns become indicators', JSON.stringify(records('COHORT_REPORT')) ===
+      '["Area 18 TX_CURR -=300","Area 18 TX_ML -=4"]', records('COHORT_REPORT').join(', '));
+    checks.check('a second id column maps to its field', JSON.stringify(summary('COHORT_REPORT').recognizedHeaders) ===
+      '{"Site":"site","District":"district"}', JSON.stringify(summary('COHORT_REPORT').recognizedHeaders));
+    checks.check('indicatorRow 0 uses the sheet name as indicator', JSON.stringify(records('TX_CURR')) ===
+      '["Kawale TX_CURR <15=20","Kawale TX_CURR 15+=100"]', records('TX_CURR').join(', '));
+  });
+
+  fs.rmSync(workDir, { recursive: true, force: true });
+  checks.finish();
+}
+
+main().catch(error => {
+  console.error('💥 Unpivot test failed to run:', error);
+  process.exit(1);
+});
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Upload manifest test for check-sftp-files.js, download-sftp-files.js, process-excel-data.js and generate-dhis2-payload.js
+ *
+ * Runs the jobs from the SFTP check to the payload on workbooks uploaded with manifests to validate:
+ * 1. A manifest next to a workbook is found by the check, downloaded with it and read by the process job
+ * 2. Its period (in any format normalizePeriod reads) and orgUnit fill rows that leave them blank
+ * 3. Its dataSet and orgUnit win over the folder routing in the payload
+ * 4. Invalid manifests, and workbooks that contradict their manifest, are rejected
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runJob, writeWorkbook, createChecks } = require('./sftp-dhis2-job-runner');
+
+const LOCAL_DOWNLOAD_PATH = '/tmp/openfn-downloads/';
+const MANIFEST_ORG_UNIT = 'ManifestOU1';
+const MANIFEST_DATA_SET = 'ManifestDS1';
+
+// Stand-in for @openfn/language-sftp serving local fixture files under /uploads/<name>
+function createSftp(files) {
+  return {
+    list: () => async state => ({
+      ...state,
+      data: Object.entries(files).map(([name, localPath]) => ({
+        type: 'file', name, size: fs.statSync(localPath).size, modifiedTime: '2025-07-01T08:00:00Z'
+      }))
+    }),
+    get: (remotePath, localPath) => async state => {
+      fs.mkdirSync(path.dirname(localPath), { recursive: true });
+      fs.copyFileSync(files[path.basename(remotePath)], localPath);
+      return state;
+    },
+    stat: () => async state => state
+  };
+}
+
+// Run the process job on one workbook with a manifest, returning its processing error or excelData
+async function processWithManifest(workDir, name, rows, manifest) {
+  const localPath = writeWorkbook(path.join(workDir, name), rows);
+  const manifestLocalPath = path.join(workDir, `${name}.manifest.json`);
+  fs.writeFileSync(manifestLocalPath, JSON.stringify(manifest));
+  const state = await runJob('process-excel-data.js', {
+    downloadedFiles: [{ key: name, name, path: `/uploads/${name}`, localPath, manifestLocalPath }]
+  });
+  return state.processingErrors.length > 0 ? { error: state.processingErrors[0].error } : state.processedFiles[0].excelData;
+}
+
+async function main() {
+  const checks = createChecks('Upload manifests (check, download, process and payload jobs)');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-manifests-'));
+
+  await checks.section('Workbook with a manifest', async () => {
+    const files = {
+      'site_report.xlsx': writeWorkbook(path.join(workDir, 'site_report.xlsx'), [
+        ['Indicator', 'Value'],
+        ['TX_CURR', 1200],
+        ['HTS_TST', 340]
+      ]),
+      'site_report.xlsx.manifest.yaml': path.join(workDir, 'site_report.xlsx.manifest.yaml')
+    };
+    fs.writeFileSync(files['site_report.xlsx.manifest.yaml'], [
+      'fileType: hiv_indicators',
+      'period: Q3FY25',
+      `orgUnit: ${MANIFEST_ORG_UNIT}`,
+      `dataSet: ${MANIFEST_DATA_SET}`,
+      'submitter: jdoe@health.gov.mw'
+    ].join('\n'));
+    const adaptors = { '@openfn/language-sftp': createSftp(files) };
+
+    const checked = await runJob('check-sftp-files.js', { scanConfig: { stability: { mode: 'off' } } }, { adaptors });
+    const found = checked.newFiles.map(file => `${file.key} ${file.manifestPath}`);
+    checks.check('the check finds the workbook with its manifest, not the manifest alone',
+      JSON.stringify(found) === JSON.stringify(['site_report.xlsx /uploads/site_report.xlsx.manifest.yaml']), found.join(', '));
+
+    const downloaded = await runJob('download-sftp-files.js', checked, { adaptors });
+    const file = downloaded.downloadedFiles[0] || {};
+    checks.check('the manifest is downloaded next to the workbook', Boolean(file.manifestLocalPath) && fs.existsSync(file.manifestLocalPath),
+      String(file.manifestLocalPath));
+
+    const processed = await runJob('process-excel-data.js', {
+      ...downloaded,
+      downloadedFiles: downloaded.downloadedFiles.map(entry => ({ ...entry, routing: { orgUnit: 'RoutedOrgU1', dataSet: 'RoutedDSet1' } }))
+    });
+    const excelData = processed.processedFiles[0].excelData;
+    const rows = excelData.indicators.map(record => `${record.indicator} ${record.period} ${record.orgUnit}`);
+    checks.check('the manifest period and orgUnit fill the rows', JSON.stringify(rows) ===
+      JSON.stringify([`TX_CURR 2025Q2 ${MANIFEST_ORG_UNIT}`, `HTS_TST 2025Q2 ${MANIFEST_ORG_UNIT}`]), rows.join(', '));
+    checks.check('the file type comes from the manifest', excelData.type === 'hiv_indicators' && excelData.detection.method === 'manifest',
+      JSON.stringify(excelData.detection));
+
+    const generated = await runJob('generate-dhis2-payload.js', processed);
+    const targets = [...new Set(generated.payload.dataValues.map(dataValue => `${dataValue.dataSet} ${dataValue.orgUnit} ${dataValue.period}`))];
+    checks.check('the manifest dataSet and orgUnit win over the folder routing', JSON.stringify(targets) ===
+      JSON.stringify([`${MANIFEST_DATA_SET} ${MANIFEST_ORG_UNIT} 2025Q2`]), targets.join(', '));
+
+    ['site_report.xlsx', 'site_report.xlsx.manifest.yaml'].forEach(name => fs.rmSync(`${LOCAL_DOWNLOAD_PATH}${name}`, { force: true }));
+  });
+
+  await checks.section('Rejected manifests', async () => {
+    const rows = [['Indicator', 'Value', 'Period'], ['TX_CURR', 1200, '202506']];
+    const valid = { fileType: 'hiv_indicators', period: '202506', submitter: 'jdoe@health.gov.mw' };
+
+    const invalid = await processWithManifest(workDir, 'invalid.xlsx', rows, { fileType: 'lab_results', period: '202506', orgUnit: 'not-a-uid' });
+    checks.check('an invalid manifest is rejected with every problem', /Invalid manifest/.test(invalid.error || '') &&
+      /fileType/.test(invalid.error) && /orgUnit/.test(invalid.error) && /submitter/.test(invalid.error), invalid.error);
+    const ambiguous = await processWithManifest(workDir, 'ambiguous.xlsx', rows, { ...valid, period: '06/07/2025' });
+    checks.check('an ambiguous manifest period is rejected', /Invalid manifest/.test(ambiguous.error || ''), ambiguous.error);
+    const otherPeriod = await processWithManifest(workDir, 'other_period.xlsx', rows, { ...valid, period: '202505' });
+    checks.check('rows reporting another period are rejected', /declares period 202505 but rows contain 202506/.test(otherPeriod.error || ''),
+      otherPeriod.error);
+    const otherType = await processWithManifest(workDir, 'other_type.xlsx', rows, { ...valid, fileType: 'dq_sites' });
+    checks.check('a workbook without records of the declared type is rejected', /no dq_sites records were found/.test(otherType.error || ''),
+      otherType.error);
+    const accepted = await processWithManifest(workDir, 'accepted.xlsx', rows, valid);
+    checks.check('a workbook matching its manifest is processed', !accepted.error && accepted.indicators.length === 1, accepted.error);
+  });
+
+  fs.rmSync(workDir, { recursive: true, force: true });
+  checks.finish();
+}
+
+main().catch(error => {
+  console.error('💥 Upload manifest test failed to run:', error);
+  process.exit(1);
+});
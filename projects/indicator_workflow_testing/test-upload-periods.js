@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Upload period test for process-excel-data.js and generate-dhis2-payload.js
+ *
+ * Runs the process and payload jobs on a workbook whose rows report different period formats to validate:
+ * 1. Each value is uploaded under its row's normalized period (Q2FY25 -> 2025Q1, Jun-25 -> 202506)
+ * 2. No value falls back to a fixed report period
+ * 3. Rows without a period are rejected and listed, not uploaded
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runJob, writeWorkbook, createChecks } = require('./sftp-dhis2-job-runner');
+
+async function main() {
+  const checks = createChecks('Upload periods (process-excel-data.js -> generate-dhis2-payload.js)');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-periods-'));
+
+  const localPath = writeWorkbook(path.join(workDir, 'hiv_report.xlsx'), [
+    ['Indicator', 'Value', 'Period'],
+    ['TX_CURR', 1200, 'Q2FY25'],
+    ['HTS_TST', 340, 'Jun-25'],
+    ['TX_NEW', 15, null]
+  ]);
+
+  const processed = await runJob('process-excel-data.js', {
+    downloadedFiles: [{ key: 'hiv_report.xlsx', name: 'hiv_report.xlsx', path: '/uploads/hiv_report.xlsx', localPath }]
+  });
+  const state = await runJob('generate-dhis2-payload.js', processed);
+  const dataValues = (state.payload && state.payload.dataValues) || [];
+  const periodOf = indicator => dataValues.filter(dataValue => dataValue.originalIndicator === indicator).map(dataValue => dataValue.period);
+
+  await checks.section('Normalized periods', async () => {
+    checks.check('Q2FY25 row is uploaded as 2025Q1', JSON.stringify(periodOf('TX_CURR')) === '["2025Q1"]', periodOf('TX_CURR').join(', '));
+    checks.check('Jun-25 row is uploaded as 202506', JSON.stringify(periodOf('HTS_TST')) === '["202506"]', periodOf('HTS_TST').join(', '));
+    checks.check('payload has no single top-level period for mixed periods', state.payload.period === undefined, String(state.payload.period));
+  });
+
+  await checks.section('Rows without a period', async () => {
+    checks.check('row without a period is not uploaded', periodOf('TX_NEW').length === 0, periodOf('TX_NEW').join(', '));
+    const rejected = state.payload.recordsWithoutPeriod || [];
+    checks.check('row without a period is listed as rejected',
+      rejected.length === 1 && rejected[0].indicator === 'TX_NEW' && rejected[0].row === 4, JSON.stringify(rejected));
+    checks.check('every uploaded value has a period', dataValues.every(dataValue => dataValue.period), `${dataValues.length} values`);
+  });
+
+  fs.rmSync(workDir, { recursive: true, force: true });
+  checks.finish();
+}
+
+main().catch(error => {
+  console.error('💥 Upload period test failed to run:', error);
+  process.exit(1);
+});
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Record validation test for process-excel-data.js
+ *
+ * Runs the process job on a Direct Queries workbook with a negative, an unusually large and a suppressed value
+ * under each validationConfig.errorPolicy to validate:
+ * 1. Findings get their severity and cell; info findings are only counted
+ * 2. exclude_rows leaves out the rows with an error and keeps the rest of the file
+ * 3. block_upload keeps the whole file from upload and reports it with its findings in processingErrors
+ * 4. validationConfig.schemas replaces a field's rules; an unknown policy fails the job
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runJob, writeWorkbook, createChecks } = require('./sftp-dhis2-job-runner');
+
+async function main() {
+  const checks = createChecks('Record validation policies (process-excel-data.js)');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'validation-policies-'));
+
+  const localPath = writeWorkbook(path.join(workDir, 'queries_june.xlsx'), [
+    ['Site', 'Indicator', 'Value', 'Period'],
+    ['Area 18', 'TX_CURR', 300, '202506'],
+    ['Kawale', 'TX_CURR', -4, '202506'],
+    ['Lumbadzi', 'TX_CURR', 20000000, '202506'],
+    ['Mitundu', 'TX_CURR', '*', '202506']
+  ], 'TX_RTT');
+  const processFile = validationConfig => runJob('process-excel-data.js', {
+    downloadedFiles: [{ key: 'queries_june.xlsx', name: 'queries_june.xlsx', path: '/uploads/queries_june.xlsx', localPath }],
+    validationConfig
+  });
+  const sites = state => (state.processedFiles[0] ? state.processedFiles[0].excelData.queries.map(query => query.site) : []);
+  const describe = finding => `${finding.sheet}!${finding.cell} ${finding.severity} ${finding.message}${finding.rowExcluded ? ' (excluded)' : ''}`;
+
+  await checks.section('exclude_rows', async () => {
+    const state = await processFile(undefined);
+    const validation = state.processedFiles[0].excelData.validation;
+    checks.check('the negative value is an error at its cell', validation.findings.some(finding => finding.cell === 'C3' &&
+      finding.severity === 'error' && finding.rowExcluded === true), validation.findings.map(describe).join(' | '));
+    checks.check('the large value is a warning at its cell', validation.findings.some(finding => finding.cell === 'C4' &&
+      finding.severity === 'warning'), validation.findings.map(describe).join(' | '));
+    checks.check('the suppressed value is counted but not listed', validation.counts.info === 1 && validation.findings.length === 2,
+      JSON.stringify(validation.counts));
+    checks.check('only the row with an error is left out', JSON.stringify(sites(state)) === '["Area 18","Lumbadzi","Mitundu"]' &&
+      validation.excludedRows === 1, sites(state).join(', '));
+    checks.check('the run summary adds up the file', JSON.stringify(state.validationSummary) === JSON.stringify({
+      errorPolicy: 'exclude_rows', error: 1, warning: 1, info: 1, excludedRows: 1, blockedFiles: 0
+    }), JSON.stringify(state.validationSummary));
+  });
+
+  await checks.section('block_upload', async () => {
+    const state = await processFile({ errorPolicy: 'block_upload' });
+    const failure = state.processingErrors[0] || {};
+    checks.check('the file is kept from upload', state.processedFiles.length === 0 && /Validation failed with 1 error/.test(failure.error || ''),
+      failure.error);
+    checks.check('its findings and counts are reported for the error sidecar', (failure.validationFindings || []).length === 2 &&
+      failure.validationCounts.error === 1 && Array.isArray(failure.cellErrors), JSON.stringify(failure.validationCounts));
+    checks.check('the run summary counts the blocked file', state.validationSummary.blockedFiles === 1 && state.validationSummary.error === 1,
+      JSON.stringify(state.validationSummary));
+  });
+
+  await checks.section('Configuration', async () => {
+    const state = await processFile({ schemas: { direct_queries: { properties: { value: { maximum: 250, message: 'above the facility capacity' } } } } });
+    const findings = state.processedFiles[0].excelData.validation.findings;
+    checks.check('a schema override replaces the field rules', JSON.stringify(sites(state)) === '["Kawale","Mitundu"]' &&
+      findings.every(finding => /above the facility capacity/.test(finding.message)), findings.map(describe).join(' | '));
+    const unknown = await processFile({ errorPolicy: 'ignore' }).then(() => null, error => error.message);
+    checks.check('an unknown policy fails the job', /Unknown validation error policy 'ignore'/.test(unknown || ''), unknown);
+  });
+
+  fs.rmSync(workDir, { recursive: true, force: true });
+  checks.finish();
+}
+
+main().catch(error => {
+  console.error('💥 Validation policy test failed to run:', error);
+  process.exit(1);
+});
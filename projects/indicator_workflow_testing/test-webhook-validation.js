@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * File-change webhook test for download-sftp-files.js
+ *
+ * Sends webhook calls to the download job, with an in-memory SFTP server behind it, to validate:
+ * 1. A call signed with the shared secret (header or signature field) is downloaded
+ * 2. Unsigned, wrongly signed, altered and stale calls are rejected, and so is every call without a secret
+ * 3. Bodies with unknown or badly typed fields are rejected
+ * 4. File paths are normalized and must stay inside the allowed roots with a supported extension
+ * 5. Nothing is fetched from the SFTP server for a rejected call
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { runJob, createChecks } = require('./sftp-dhis2-job-runner');
+
+const LOCAL_DOWNLOAD_PATH = '/tmp/openfn-downloads/';
+const WEBHOOK_SECRET = 'webhook-test-secret';
+
+// HMAC of the body with its keys sorted and without its signature, as the file watcher sends it
+function sign(body, secret = WEBHOOK_SECRET) {
+  const canonical = JSON.stringify(Object.fromEntries(Object.keys(body).sort()
+    .filter(field => field !== 'signature')
+    .map(field => [field, body[field]])));
+  return `sha256=${crypto.createHmac('sha256', secret).update(canonical).digest('hex')}`;
+}
+
+const webhookBody = (filePath, extra = {}) => ({ filePath, timestamp: new Date().toISOString(), ...extra });
+
+async function main() {
+  const checks = createChecks('File-change webhook (download-sftp-files.js)');
+  const fetched = [];
+  const sftp = {
+    get: (remotePath, localPath) => async state => {
+      fetched.push(remotePath);
+      fs.mkdirSync(localPath.substring(0, localPath.lastIndexOf('/')), { recursive: true });
+      fs.writeFileSync(localPath, 'workbook');
+      return state;
+    }
+  };
+
+  // Send a call and return the download state; headers are lower-cased as the webhook trigger passes them
+  const send = (data, { signature, secret = WEBHOOK_SECRET } = {}) => runJob('download-sftp-files.js', {
+    data,
+    configuration: secret ? { webhookSecret: secret } : {},
+    request: { headers: signature ? { 'x-webhook-signature': signature } : {} }
+  }, { adaptors: { '@openfn/language-sftp': sftp } });
+  const signedInHeader = data => send(data, { signature: sign(data) });
+  const rejection = state => (state.webhookRejection ? state.webhookRejection.errors.join('; ') : 'accepted');
+
+  await checks.section('Signed calls', async () => {
+    const body = webhookBody('/uploads/hiv-indicators/june.xlsx', { fileName: 'june.xlsx', action: 'close_write' });
+    const header = await signedInHeader(body);
+    checks.check('a call signed in the header is downloaded', !header.webhookRejection && header.downloadedFiles.length === 1 &&
+      header.downloadedFiles[0].key === 'hiv-indicators/june.xlsx', rejection(header));
+
+    const fieldBody = webhookBody('/uploads/hiv-indicators/july.xlsx');
+    const field = await send({ ...fieldBody, signature: sign(fieldBody) });
+    checks.check('a call signed in the signature field is downloaded', !field.webhookRejection && field.downloadedFiles.length === 1, rejection(field));
+  });
+
+  await checks.section('Rejected signatures', async () => {
+    const fetchedBefore = fetched.length;
+    const body = webhookBody('/uploads/hiv-indicators/june.xlsx', { fileSize: 100 });
+
+    const unsigned = await send(body);
+    checks.check('an unsigned call is rejected', /Missing signature/.test(rejection(unsigned)), rejection(unsigned));
+    const wrongSecret = await send(body, { signature: sign(body, 'another-secret') });
+    checks.check('a call signed with another secret is rejected', /Invalid webhook signature/.test(rejection(wrongSecret)), rejection(wrongSecret));
+    const altered = await send({ ...body, fileSize: 999 }, { signature: sign(body) });
+    checks.check('a call altered after signing is rejected', /Invalid webhook signature/.test(rejection(altered)), rejection(altered));
+    const staleBody = webhookBody('/uploads/hiv-indicators/june.xlsx', { timestamp: new Date(Date.now() - 10 * 60000).toISOString() });
+    const stale = await signedInHeader(staleBody);
+    checks.check('a call older than the allowed clock skew is rejected', /away from server time/.test(rejection(stale)), rejection(stale));
+    const noSecret = await send(body, { signature: sign(body), secret: null });
+    checks.check('every call is rejected while no secret is configured', /secret is not configured/.test(rejection(noSecret)), rejection(noSecret));
+    checks.check('nothing is fetched for a rejected call', fetched.length === fetchedBefore, fetched.slice(fetchedBefore).join(', '));
+  });
+
+  await checks.section('Body schema', async () => {
+    const unknownField = await signedInHeader(webhookBody('/uploads/hiv-indicators/june.xlsx', { command: 'rm -rf /' }));
+    checks.check('an unknown field is rejected', /Unexpected field 'command'/.test(rejection(unknownField)), rejection(unknownField));
+    const badSize = await signedInHeader(webhookBody('/uploads/hiv-indicators/june.xlsx', { fileSize: '12kb' }));
+    checks.check('a badly typed field is rejected', /fileSize' must be an integer/.test(rejection(badSize)), rejection(badSize));
+    const noPath = await signedInHeader({ timestamp: new Date().toISOString() });
+    checks.check('a call without filePath is rejected', /Missing required field 'filePath'/.test(rejection(noPath)), rejection(noPath));
+  });
+
+  await checks.section('File paths', async () => {
+    for (const filePath of ['/uploads/../etc/passwd.xlsx', '/uploads/hiv/../../etc/report.xlsx', '/etc/report.xlsx', 'uploads/report.xlsx', '/uploads/']) {
+      const state = await signedInHeader(webhookBody(filePath));
+      checks.check(`${filePath} is outside the allowed roots`, /outside the allowed SFTP roots/.test(rejection(state)), rejection(state));
+    }
+    const unsupported = await signedInHeader(webhookBody('/uploads/hiv/script.sh'));
+    checks.check('an unsupported file type is rejected', /Unsupported file type/.test(rejection(unsupported)), rejection(unsupported));
+    const normalized = await signedInHeader(webhookBody('/uploads/hiv/./drafts/../june.xlsx'));
+    const file = (normalized.downloadedFiles || [])[0] || {};
+    checks.check('a path inside a root is normalized', file.path === '/uploads/hiv/june.xlsx' && file.key === 'hiv/june.xlsx', rejection(normalized));
+  });
+
+  ['hiv-indicators/june.xlsx', 'hiv-indicators/july.xlsx', 'hiv/june.xlsx'].forEach(key => fs.rmSync(`${LOCAL_DOWNLOAD_PATH}${key}`, { force: true }));
+  checks.finish();
+}
+
+main().catch(error => {
+  console.error('💥 Webhook test failed to run:', error);
+  process.exit(1);
+});
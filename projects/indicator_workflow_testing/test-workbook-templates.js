@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Workbook template test for process-excel-data.js
+ *
+ * Runs the process job with templates from parsingConfig.templateDir and parsingConfig.templates to validate:
+ * 1. A YAML template matched by file name and sheet sets the sheets read, header row, column mapping and period
+ * 2. An inline template matched by headers unpivots a crosstab sheet under its own file type
+ * 3. A manifest can name a template, and naming an unknown one rejects the workbook
+ * 4. Invalid templates are reported in templateErrors without stopping the valid ones
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runJob, writeWorkbook, createChecks } = require('./sftp-dhis2-job-runner');
+
+const PARTNER_X_TEMPLATE = [
+  'name: partner-x-monthly',
+  'fileType: direct_queries',
+  'match:',
+  "  fileName: ['PartnerX_*.xlsx']",
+  "  sheets: ['Facility Report']",
+  'headerRow: 4',
+  'columns:',
+  '  Health Centre: site',
+  '  Measure Code: indicator',
+  '  Result: value',
+  'period: Jun-25'
+].join('\n');
+
+const CROSSTAB_TEMPLATE = {
+  name: 'partner-y-crosstab',
+  fileType: 'direct_queries',
+  match: { headers: ['Clinic', 'TX_CURR'] },
+  unpivot: { idColumns: 1 },
+  period: '2025Q2'
+};
+
+async function main() {
+  const checks = createChecks('Workbook templates (process-excel-data.js)');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workbook-templates-'));
+  const templateDir = path.join(workDir, 'templates');
+  fs.mkdirSync(templateDir);
+  fs.writeFileSync(path.join(templateDir, 'partner-x.yaml'), PARTNER_X_TEMPLATE);
+  fs.writeFileSync(path.join(templateDir, 'broken.json'), JSON.stringify({ name: 'broken', columns: { Clinic: 'facility' } }));
+
+  const partnerX = [
+    ['Partner X monthly facility report'],
+    ['Lilongwe district'],
+    [],
+    ['Health Centre', 'Measure Code', 'Result', 'Checked'],
+    ['Area 18', 'TX_CURR', 300, 'yes'],
+    ['Kawale', 'TX_CURR', 120, 'yes']
+  ];
+  const files = {
+    'PartnerX_June.xlsx': { Cover: [['Partner X'], ['Site', 'Indicator', 'Value']], 'Facility Report': partnerX },
+    'crosstab_upload.xlsx': { Data: [['Clinic', 'TX_CURR', 'TX_NEW'], ['Kawale', 100, 5]] },
+    'renamed_report.xlsx': { 'Facility Report': partnerX },
+    'unknown_template.xlsx': { 'Facility Report': partnerX }
+  };
+  const manifests = {
+    'renamed_report.xlsx': { fileType: 'direct_queries', period: '202506', submitter: 'jdoe@health.gov.mw', template: 'partner-x-monthly' },
+    'unknown_template.xlsx': { fileType: 'direct_queries', period: '202506', submitter: 'jdoe@health.gov.mw', template: 'partner-z' }
+  };
+
+  const state = await runJob('process-excel-data.js', {
+    downloadedFiles: Object.entries(files).map(([name, sheets]) => {
+      const file = { key: name, name, path: `/uploads/${name}`, localPath: writeWorkbook(path.join(workDir, name), sheets) };
+      if (manifests[name]) {
+        file.manifestLocalPath = path.join(workDir, `${name}.manifest.json`);
+        fs.writeFileSync(file.manifestLocalPath, JSON.stringify(manifests[name]));
+      }
+      return file;
+    }),
+    parsingConfig: { templateDir, templates: [CROSSTAB_TEMPLATE] }
+  });
+  const excelData = name => (state.processedFiles.find(file => file.name === name) || {}).excelData || {};
+  const records = data => (data.queries || []).map(query => `${query.site} ${query.indicator}=${query.value} ${query.period}`);
+
+  await checks.section('Template from a YAML file', async () => {
+    const data = excelData('PartnerX_June.xlsx');
+    checks.check('the template is matched by file name and sheet', data.template && data.template.name === 'partner-x-monthly' &&
+      data.template.origin === 'partner-x.yaml' && data.detection.method === 'template', JSON.stringify({ template: data.template, detection: data.detection }));
+    checks.check('its columns, header row and period give the records', JSON.stringify(records(data)) ===
+      '["Area 18 TX_CURR=300 202506","Kawale TX_CURR=120 202506"]', records(data).join(', '));
+    const sheets = (data.sheetSummaries || []).map(summary => `${summary.sheetName}@${summary.headerRow}`);
+    checks.check('only the template sheets are read', JSON.stringify(sheets) === '["Facility Report@4"]', sheets.join(', '));
+  });
+
+  await checks.section('Inline crosstab template', async () => {
+    const data = excelData('crosstab_upload.xlsx');
+    checks.check('the template is matched by headers', data.template && data.template.name === 'partner-y-crosstab' &&
+      data.template.origin === 'parsingConfig.templates[0]', JSON.stringify(data.template));
+    checks.check('its unpivot rule turns columns into indicators', data.type === 'direct_queries' && JSON.stringify(records(data)) ===
+      '["Kawale TX_CURR=100 2025Q2","Kawale TX_NEW=5 2025Q2"]', records(data).join(', '));
+  });
+
+  await checks.section('Templates named by a manifest', async () => {
+    const data = excelData('renamed_report.xlsx');
+    checks.check('a manifest applies a template whatever the file name', data.template && data.template.name === 'partner-x-monthly' &&
+      data.detection.method === 'manifest' && records(data).length === 2, JSON.stringify({ template: data.template, records: records(data) }));
+    const failure = state.processingErrors.find(error => error.fileName === 'unknown_template.xlsx') || {};
+    checks.check('an unknown template name rejects the workbook', /Manifest names unknown template 'partner-z'/.test(failure.error || ''),
+      JSON.stringify(failure));
+  });
+
+  await checks.section('Invalid templates', async () => {
+    const errors = state.templateErrors.map(entry => `${entry.origin}: ${entry.errors.join('; ')}`);
+    checks.check('an invalid template is reported with its problems', errors.length === 1 && /broken\.json/.test(errors[0]) &&
+      /fileType/.test(errors[0]) && /unknown field 'facility'/.test(errors[0]), errors.join(' | '));
+    checks.check('the valid templates are still used', state.processedFiles.length === 3, state.processedFiles.map(file => file.name).join(', '));
+  });
+
+  fs.rmSync(workDir, { recursive: true, force: true });
+  checks.finish();
+}
+
+main().catch(error => {
+  console.error('💥 Workbook template test failed to run:', error);
+  process.exit(1);
+});
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Zip batch expansion test for process-excel-data.js
+ *
+ * Builds a .zip batch at runtime and runs the process job on it to validate:
+ * 1. Workbook and CSV entries are extracted and parsed like standalone files
+ * 2. Each entry is keyed by the batch and its path inside it
+ * 3. Unsupported entries are skipped
+ * 4. Entries whose path escapes the extraction folder (zip slip) are never written
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runJob, workflowRequire, createChecks } = require('./sftp-dhis2-job-runner');
+
+const XLSX = workflowRequire('xlsx');
+const CFB = workflowRequire('cfb');
+
+// Build an HIV indicators workbook in memory
+function indicatorWorkbook(rows) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Indicator', 'Value', 'Period'], ...rows]), 'Indicators');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+async function main() {
+  const checks = createChecks('Zip batch expansion (process-excel-data.js)');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-expansion-'));
+  const batchPath = path.join(workDir, 'downloads', 'batch.zip');
+  fs.mkdirSync(path.dirname(batchPath), { recursive: true });
+
+  const zip = CFB.utils.cfb_new();
+  CFB.utils.cfb_add(zip, '/hiv/report.xlsx', indicatorWorkbook([['TX_CURR', 1200, '202506'], ['HTS_TST', 340, '202506']]));
+  CFB.utils.cfb_add(zip, '/hiv/extra.csv', Buffer.from('Indicator,Value,Period\nTX_NEW,15,202506\n'));
+  CFB.utils.cfb_add(zip, '/notes.txt', Buffer.from('not a workbook'));
+  CFB.utils.cfb_add(zip, '/../../escaped.xlsx', indicatorWorkbook([['TX_CURR', 1, '202506']]));
+  fs.writeFileSync(batchPath, CFB.write(zip, { fileType: 'zip', type: 'buffer' }));
+
+  const state = await runJob('process-excel-data.js', {
+    downloadedFiles: [{
+      key: 'lilongwe/batch.zip',
+      name: 'batch.zip',
+      path: '/uploads/lilongwe/batch.zip',
+      localPath: batchPath,
+      contentHash: 'batch-hash'
+    }]
+  });
+
+  await checks.section('Extraction', async () => {
+    const errors = state.processingErrors || [];
+    checks.check('batch opens without processing errors', errors.length === 0, errors.map(e => e.error).join('; '));
+    const keys = (state.processedFiles || []).map(file => file.key).sort();
+    checks.check('workbook and CSV entries are processed',
+      JSON.stringify(keys) === JSON.stringify(['lilongwe/batch.zip#hiv/extra.csv', 'lilongwe/batch.zip#hiv/report.xlsx']),
+      keys.join(', '));
+    checks.check('entries point back at their batch',
+      (state.processedFiles || []).every(file => file.archive && file.archive.key === 'lilongwe/batch.zip' && file.archive.contentHash === 'batch-hash'));
+  });
+
+  await checks.section('Parsing', async () => {
+    const report = (state.processedFiles || []).find(file => file.key.endsWith('report.xlsx'));
+    const values = report ? Object.fromEntries(report.excelData.indicators.map(i => [i.indicator, i.value])) : {};
+    checks.check('xlsx entry values are parsed', values.TX_CURR === 1200 && values.HTS_TST === 340, JSON.stringify(values));
+    const csv = (state.processedFiles || []).find(file => file.key.endsWith('extra.csv'));
+    checks.check('csv entry values are parsed', Boolean(csv) && csv.excelData.indicators.some(i => i.indicator === 'TX_NEW' && i.value === 15));
+  });
+
+  await checks.section('Unsafe and unsupported entries', async () => {
+    const extractRoot = `${batchPath}.extracted`;
+    checks.check('zip-slip entry is not written outside the extraction folder',
+      !fs.existsSync(path.resolve(extractRoot, '../../escaped.xlsx')) && !fs.existsSync(path.join(workDir, 'escaped.xlsx')));
+    checks.check('zip-slip and unsupported entries are not processed',
+      !(state.processedFiles || []).some(file => /escaped|notes/.test(file.key)));
+  });
+
+  fs.rmSync(workDir, { recursive: true, force: true });
+  checks.finish();
+}
+
+main().catch(error => {
+  console.error('💥 Zip expansion test failed to run:', error);
+  process.exit(1);
+});
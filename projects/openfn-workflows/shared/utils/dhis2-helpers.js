@@ -2,6 +2,21 @@
  * Shared DHIS2 utilities for OpenFN workflows
  */
 
+// DHIS2 ISO period formats; other spellings (Q2FY25, Jun-25) are converted by normalizePeriod in
+// workflows/sftp-dhis2/jobs/process-excel-data.js before values get here
+const DHIS2_PERIOD_PATTERNS = [
+  /^\d{4}(0[1-9]|1[0-2])$/, // Monthly
+  /^\d{4}Q[1-4]$/, // Quarterly
+  /^\d{4}S[12]$/, // SixMonthly
+  /^\d{4}AprilS[12]$/, // SixMonthlyApril
+  /^\d{4}(April|July|Oct|Nov)$/, // Financial years
+  /^\d{4}$/ // Yearly
+];
+
+export function isDhis2Period(value) {
+  return DHIS2_PERIOD_PATTERNS.some(pattern => pattern.test(String(value)));
+}
+
 export function generateDataValueSets(indicators, orgUnit, period) {
   const dataValues = indicators.map(indicator => ({
     dataElement: indicator.dataElement || indicator.indicator,
@@ -41,6 +56,8 @@ export function validateDataValueSet(dataValueSet) {
     }
     if (!dv.period) {
       errors.push(`Data value at index ${index} missing period`);
+    } else if (!isDhis2Period(dv.period)) {
+      errors.push(`Data value at index ${index} has a period that is not a DHIS2 ISO period: ${dv.period}`);
     }
     if (!dv.orgUnit) {
       errors.push(`Data value at index ${index} missing orgUnit`);
@@ -54,10 +71,6 @@ export function validateDataValueSet(dataValueSet) {
 }
 
 export const DHIS2_MAPPINGS = {
-  periods: {
-    '202506': '2025Q2', // Example mapping
-    '202505': '2025Q1'
-  },
   orgUnits: {
     'MW_DEFAULT': 'MW', // Malawi default
     'FACILITY_001': 'MW_FAC_001'
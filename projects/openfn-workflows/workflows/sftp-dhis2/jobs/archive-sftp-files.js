@@ -0,0 +1,223 @@
+/**
+ * Archive processed files and quarantine failed files on SFTP
+ * This job runs after file tracking (or after a failed processing or upload job) so uploaders can see results on the SFTP side
+ */
+
+import { rename, mkdir, put } from '@openfn/language-sftp';
+import { fn } from '@openfn/language-common';
+import fs from 'fs';
+
+// Configuration
+const SIDECAR_STAGING_PATH = '/tmp/openfn-downloads/.sidecars/';
+
+// Default archive configuration, override with state.archiveConfig
+// Folders are created next to the uploaded file, e.g. /uploads/lilongwe/hiv/processed/2025/06/
+const defaultArchiveConfig = {
+  processedFolder: 'processed',
+  quarantineFolder: 'quarantine',
+  errorSidecarSuffix: '.error.json'
+};
+
+// Folder that holds a remote file, with trailing slash
+function remoteFolder(remotePath) {
+  return remotePath.substring(0, remotePath.lastIndexOf('/') + 1);
+}
+
+// Move a file (and its upload marker and manifest, if any) into targetFolder. Once the file itself
+// has moved, a marker or manifest that cannot be moved is reported in sidecarErrors instead of thrown.
+async function moveFile(state, file, targetFolder) {
+  await mkdir(targetFolder, true)(state);
+
+  let targetPath = `${targetFolder}${file.name}`;
+  try {
+    await rename(file.path, targetPath)(state);
+  } catch (error) {
+    // Most SFTP servers refuse to overwrite, so keep both copies
+    const extensionIndex = file.name.lastIndexOf('.');
+    const stem = extensionIndex > 0 ? file.name.substring(0, extensionIndex) : file.name;
+    const extension = extensionIndex > 0 ? file.name.substring(extensionIndex) : '';
+    targetPath = `${targetFolder}${stem}.${Date.now()}${extension}`;
+    console.warn(`Could not move ${file.path} to ${targetFolder}${file.name} (${error.message}), using ${targetPath}`);
+    await rename(file.path, targetPath)(state);
+  }
+
+  const sidecarErrors = [];
+  for (const sidecarPath of [file.markerPath, file.manifestPath].filter(Boolean)) {
+    const sidecarName = sidecarPath.split('/').pop();
+    try {
+      await rename(sidecarPath, `${targetFolder}${sidecarName}`)(state);
+    } catch (error) {
+      console.warn(`Could not move ${sidecarPath} to ${targetFolder}: ${error.message}`);
+      sidecarErrors.push({ path: sidecarPath, error: error.message });
+    }
+  }
+
+  return { targetPath, sidecarErrors };
+}
+
+// Write the JSON error sidecar next to a quarantined file
+async function writeErrorSidecar(state, quarantinedPath, details, archiveConfig) {
+  const sidecarName = `${quarantinedPath.split('/').pop()}${archiveConfig.errorSidecarSuffix}`;
+  const localPath = `${SIDECAR_STAGING_PATH}${Date.now()}_${sidecarName}`;
+  const remotePath = `${quarantinedPath}${archiveConfig.errorSidecarSuffix}`;
+
+  fs.writeFileSync(localPath, JSON.stringify(details, null, 2));
+  try {
+    await put(localPath, remotePath)(state);
+  } finally {
+    fs.unlinkSync(localPath);
+  }
+
+  return remotePath;
+}
+
+// Describe why a job failed, from the failed job's error state
+function describeJobError(state, fallback) {
+  if (state.errors && Object.keys(state.errors).length > 0) {
+    return Object.values(state.errors)
+      .map(error => error.message || String(error))
+      .join('; ');
+  }
+  return state.error || fallback;
+}
+
+fn(async state => {
+  console.log('Archiving processed SFTP files...');
+
+  const archiveConfig = { ...defaultArchiveConfig, ...(state.archiveConfig || {}) };
+  const fileTracking = { ...(state.fileTracking || {}) };
+  const archivedFiles = [];
+  const quarantinedFiles = [];
+  const archiveErrors = [];
+
+  if (!fs.existsSync(SIDECAR_STAGING_PATH)) {
+    fs.mkdirSync(SIDECAR_STAGING_PATH, { recursive: true });
+  }
+
+  // Group results by the SFTP file they came from; .zip entries share their batch file
+  const sources = {};
+  const addResult = (file, failure) => {
+    const source = file.archive || file;
+    if (!source.path) {
+      return;
+    }
+    if (!sources[source.path]) {
+      sources[source.path] = { file: source, failures: [], cellErrors: [], validationFindings: [] };
+    }
+    // Processed files carry their excelData, files blocked by validation carry the same details directly
+    const excelData = file.excelData || {};
+    sources[source.path].cellErrors.push(...(excelData.cellErrors || file.cellErrors || []));
+    sources[source.path].validationFindings.push(...((excelData.validation && excelData.validation.findings) || file.validationFindings || []));
+    if (failure) {
+      sources[source.path].failures.push({ entry: file.archive ? file.archive.entry : null, ...failure });
+    }
+  };
+
+  // Parse errors always fail a file, processed files fail too when the upload failed
+  (state.processingErrors || []).forEach(failure => addResult(failure, {
+    stage: failure.validationFindings ? 'validation' : 'parse',
+    error: failure.error
+  }));
+
+  const uploadError = state.uploadCompleted ? null : describeJobError(state, 'Upload to DHIS2 did not complete');
+  const uploadStage = state.dataQualityBlocked ? 'data_quality' : 'upload';
+  (state.processedFiles || []).forEach(file => addResult(file, uploadError ? { stage: uploadStage, error: uploadError } : null));
+
+  // When the process job threw there are no results at all: quarantine every downloaded file it was given
+  if (!state.processedFiles) {
+    (state.downloadedFiles || []).filter(file => !sources[file.path]).forEach(file => addResult(file, {
+      stage: 'parse',
+      error: describeJobError(state, 'Processing did not complete')
+    }));
+  }
+
+  const now = new Date();
+  const year = String(now.getUTCFullYear());
+  const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+
+  for (const { file, failures, cellErrors, validationFindings } of Object.values(sources)) {
+    // Successfully uploaded files go to processed/YYYY/MM/
+    if (failures.length === 0) {
+      const targetFolder = `${remoteFolder(file.path)}${archiveConfig.processedFolder}/${year}/${month}/`;
+      try {
+        const { targetPath: archivedPath, sidecarErrors } = await moveFile(state, file, targetFolder);
+        archivedFiles.push({ key: file.key, from: file.path, to: archivedPath });
+        sidecarErrors.forEach(sidecarError => archiveErrors.push({ key: file.key, ...sidecarError }));
+        if (fileTracking[file.key]) {
+          fileTracking[file.key] = { ...fileTracking[file.key], archivedPath, archivedAt: now.toISOString() };
+        }
+        console.log(`Archived ${file.path} -> ${archivedPath}`);
+      } catch (error) {
+        console.error(`Failed to archive ${file.path}:`, error);
+        archiveErrors.push({ key: file.key, path: file.path, error: error.message });
+      }
+      continue;
+    }
+
+    // Failed files go to quarantine/ with a JSON error sidecar
+    const targetFolder = `${remoteFolder(file.path)}${archiveConfig.quarantineFolder}/`;
+    const error = failures.map(failure => (failure.entry ? `${failure.entry}: ${failure.error}` : failure.error)).join('; ');
+    let quarantinedPath;
+    try {
+      const moved = await moveFile(state, file, targetFolder);
+      quarantinedPath = moved.targetPath;
+      moved.sidecarErrors.forEach(sidecarError => archiveErrors.push({ key: file.key, ...sidecarError }));
+    } catch (moveError) {
+      console.error(`Failed to quarantine ${file.path}:`, moveError);
+      archiveErrors.push({ key: file.key, path: file.path, error: moveError.message });
+      continue;
+    }
+
+    // The file has moved: record that before writing the error sidecar, which may still fail
+    const quarantined = { key: file.key, from: file.path, to: quarantinedPath, sidecarPath: null, failures };
+    quarantinedFiles.push(quarantined);
+    if (file.key) {
+      fileTracking[file.key] = {
+        ...(fileTracking[file.key] || {}),
+        status: 'quarantined',
+        quarantinedPath,
+        quarantinedAt: new Date().toISOString(),
+        error
+      };
+    }
+    console.log(`Quarantined ${file.path} -> ${quarantinedPath} (${error})`);
+
+    try {
+      quarantined.sidecarPath = await writeErrorSidecar(state, quarantinedPath, {
+        file: file.name || file.fileName,
+        originalPath: file.path,
+        quarantinedAt: new Date().toISOString(),
+        stage: failures[0].stage,
+        error,
+        failures,
+        cellErrors,
+        validationFindings,
+        dataQualityViolations: (state.dataQualityViolations || []).filter(violation =>
+          violation.sources.some(source => source.key === file.key || (source.key || '').startsWith(`${file.key}#`))),
+        contentHash: file.contentHash || null,
+        workflow: 'HIV-Indicators-SFTP-to-DHIS2-Workflow'
+      }, archiveConfig);
+    } catch (sidecarError) {
+      console.error(`Failed to write the error sidecar for ${quarantinedPath}:`, sidecarError);
+      archiveErrors.push({ key: file.key, path: quarantinedPath, error: sidecarError.message });
+    }
+  }
+
+  const archiveSummary = {
+    archived: archivedFiles.length,
+    quarantined: quarantinedFiles.length,
+    errors: archiveErrors.length,
+    completedAt: new Date().toISOString()
+  };
+
+  console.log('Archive summary:', archiveSummary);
+
+  return {
+    ...state,
+    fileTracking,
+    archivedFiles,
+    quarantinedFiles,
+    archiveErrors,
+    archiveSummary
+  };
+});
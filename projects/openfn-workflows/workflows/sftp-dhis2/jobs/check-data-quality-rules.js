@@ -0,0 +1,370 @@
+/**
+ * Check cross-indicator data quality rules before payload generation
+ * Rules compare indicator totals per orgUnit and period, like DHIS2 validation rules
+ */
+
+import { fn } from '@openfn/language-common';
+
+// Default data quality configuration, override with state.dataQualityConfig
+//   policy 'report'         - violations are only recorded in state.dataQualityViolations
+//   policy 'exclude_values' - values taking part in a violated error rule are held back from upload
+//   policy 'block_upload'   - any violated error rule stops the upload and the files are quarantined
+// A rule compares two expressions made of indicator names and numbers joined by + or -:
+//   { name, left: 'HTS_TST_POS', operator: '<=', right: 'HTS_TST', severity: 'error', missingValueStrategy }
+// missingValueStrategy 'skip_if_any_missing' (default) skips the rule where an indicator was not reported,
+// 'never_skip' counts unreported indicators as 0. Warning rules are recorded but never exclude or block.
+const defaultDataQualityConfig = {
+  policy: 'report',
+  rules: [
+    { name: 'Positive tests cannot exceed tests', left: 'HTS_TST_POS', operator: '<=', right: 'HTS_TST' },
+    { name: 'Suppressed viral loads cannot exceed clients on ART', left: 'TX_PVLS', operator: '<=', right: 'TX_CURR' },
+    { name: 'PMTCT on ART cannot exceed PMTCT status known', left: 'PMTCT_ART', operator: '<=', right: 'PMTCT_STAT' }
+  ]
+};
+
+const OPERATORS = {
+  '==': (left, right) => left === right,
+  '!=': (left, right) => left !== right,
+  '<': (left, right) => left < right,
+  '<=': (left, right) => left <= right,
+  '>': (left, right) => left > right,
+  '>=': (left, right) => left >= right
+};
+const MISSING_VALUE_STRATEGIES = ['skip_if_any_missing', 'never_skip'];
+const RULE_SEVERITIES = ['error', 'warning'];
+const DATA_QUALITY_POLICIES = ['report', 'exclude_values', 'block_upload'];
+
+// Values reported more than once are resolved as in generate-dhis2-payload.js (state.conflictConfig),
+// so rules see the value that will be uploaded
+const defaultConflictConfig = {
+  resolution: 'latest_file'
+};
+const CONFLICT_RESOLUTIONS = ['latest_file', 'sum', 'max', 'reject'];
+
+// Split an expression like 'TX_NEW + TX_RTT - 5' into signed indicator and number terms
+function parseExpression(expression) {
+  const text = String(expression === undefined || expression === null ? '' : expression).replace(/\s+/g, '');
+  const terms = [];
+  let read = 0;
+
+  for (const [part, sign, operand] of text.matchAll(/([+-]?)([^+-]+)/g)) {
+    read += part.length;
+    const factor = sign === '-' ? -1 : 1;
+    if (/^\d+(\.\d+)?$/.test(operand)) {
+      terms.push({ sign: factor, constant: parseFloat(operand) });
+    } else if (/^[A-Za-z][A-Za-z0-9_.]*$/.test(operand)) {
+      terms.push({ sign: factor, indicator: operand });
+    } else {
+      throw new Error(`cannot read '${operand}' in '${expression}'`);
+    }
+  }
+
+  if (terms.length === 0 || read !== text.length) {
+    throw new Error(`cannot read expression '${expression}'`);
+  }
+  return terms;
+}
+
+// Check a configured rule and return it ready to evaluate, or throw with what is wrong
+function compileRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('rule must be an object');
+  }
+  if (!OPERATORS[rule.operator]) {
+    throw new Error(`operator must be one of ${Object.keys(OPERATORS).join(' ')} (got '${rule.operator}')`);
+  }
+  const missingValueStrategy = rule.missingValueStrategy || 'skip_if_any_missing';
+  if (!MISSING_VALUE_STRATEGIES.includes(missingValueStrategy)) {
+    throw new Error(`missingValueStrategy must be one of ${MISSING_VALUE_STRATEGIES.join(', ')}`);
+  }
+  const severity = rule.severity || 'error';
+  if (!RULE_SEVERITIES.includes(severity)) {
+    throw new Error(`severity must be one of ${RULE_SEVERITIES.join(', ')}`);
+  }
+
+  return {
+    name: rule.name || `${rule.left} ${rule.operator} ${rule.right}`,
+    left: { expression: String(rule.left), terms: parseExpression(rule.left) },
+    operator: rule.operator,
+    right: { expression: String(rule.right), terms: parseExpression(rule.right) },
+    severity,
+    missingValueStrategy
+  };
+}
+
+// Where a record sits in the state, so a violation can name its cell and exclusion can find it again
+function recordSource(file, fileIndex, list, recordIndex, record) {
+  return {
+    workbook: file.name || file.fileName,
+    key: file.key || null,
+    sheet: record.sheet || null,
+    row: record.rowNumber || null,
+    indicator: record.indicator,
+    disaggregation: record.disaggregation || null,
+    value: record.value,
+    modifiedTime: file.modifiedTime || null,
+    ref: { fileIndex, list, recordIndex }
+  };
+}
+
+// Order in which 'latest_file' ranks sources, as in generate-dhis2-payload.js: file modification time,
+// then processing order, then row
+function compareSources(a, b) {
+  const time = source => (source.modifiedTime ? new Date(source.modifiedTime).getTime() : 0);
+  return time(a) - time(b) || a.ref.fileIndex - b.ref.fileIndex || (a.row || 0) - (b.row || 0);
+}
+
+// The value uploaded for sources of the same indicator, orgUnit and period; null when they are rejected
+function resolveValue(sources, resolution) {
+  const values = sources.map(source => Number(source.value));
+  if (values.length === 1) {
+    return values[0];
+  }
+  if (resolution === 'latest_file') {
+    return Number([...sources].sort(compareSources).pop().value);
+  }
+  if (resolution === 'max') {
+    return Math.max(...values);
+  }
+  if (resolution === 'sum') {
+    return values.reduce((sum, value) => sum + value, 0);
+  }
+  return null;
+}
+
+// Indicator values per orgUnit and period, grouped the way generate-dhis2-payload.js uploads them:
+// indicator files report for their manifest, folder or reportConfig orgUnit, query rows for their site's
+// orgUnit in reportConfig.siteOrgUnits, and every value for its row's period. Rows without a value or a
+// period, and query rows of unmapped sites, are never uploaded, so they are left out.
+function collectIndicatorValues(processedFiles, reportConfig) {
+  const groups = {};
+  const siteOrgUnits = reportConfig.siteOrgUnits || {};
+
+  processedFiles.forEach((file, fileIndex) => {
+    const excelData = file.excelData || {};
+    const routing = file.routing || {};
+    const manifest = file.manifest || {};
+    const fileOrgUnit = manifest.orgUnit || routing.orgUnit || reportConfig.orgUnit || null;
+
+    ['indicators', 'queries'].forEach(list => {
+      (excelData[list] || []).forEach((record, recordIndex) => {
+        if (record.value === null || record.value === undefined || !record.indicator || !record.period) {
+          return;
+        }
+        const orgUnit = list === 'indicators' ? fileOrgUnit : siteOrgUnits[record.site];
+        if (!orgUnit && list === 'queries') {
+          return;
+        }
+        const period = String(record.period);
+        const groupKey = `${orgUnit}|${period}`;
+        if (!groups[groupKey]) {
+          groups[groupKey] = { orgUnit, period, indicators: {} };
+        }
+
+        const indicatorKey = String(record.indicator).trim().toLowerCase();
+        const entry = groups[groupKey].indicators[indicatorKey] || { totals: [], disaggregated: [] };
+        entry[record.disaggregation ? 'disaggregated' : 'totals'].push(recordSource(file, fileIndex, list, recordIndex, record));
+        groups[groupKey].indicators[indicatorKey] = entry;
+      });
+    });
+  });
+
+  return Object.values(groups);
+}
+
+// An indicator's value in a group: its total rows when reported, else the sum of its disaggregations.
+// Rows reporting the same total or disaggregation are resolved first; every one of them stays a source,
+// so excluding a violation holds back all of them. Null when not reported or rejected.
+function indicatorValue(group, indicator, resolution) {
+  const entry = group.indicators[indicator.toLowerCase()];
+  if (!entry) {
+    return null;
+  }
+  const sources = entry.totals.length > 0 ? entry.totals : entry.disaggregated;
+  const byDisaggregation = {};
+  sources.forEach(source => {
+    const label = String(source.disaggregation || '').trim().toLowerCase();
+    byDisaggregation[label] = byDisaggregation[label] || [];
+    byDisaggregation[label].push(source);
+  });
+  const values = Object.values(byDisaggregation)
+    .map(labelSources => resolveValue(labelSources, resolution))
+    .filter(value => value !== null);
+  if (values.length === 0) {
+    return null;
+  }
+  return {
+    value: values.reduce((sum, value) => sum + value, 0),
+    sources
+  };
+}
+
+// Evaluate one side of a rule; missing lists the indicators that were not reported
+function evaluateExpression(group, side, resolution) {
+  let value = 0;
+  const sources = [];
+  const missing = [];
+
+  side.terms.forEach(term => {
+    if (term.constant !== undefined) {
+      value += term.sign * term.constant;
+      return;
+    }
+    const found = indicatorValue(group, term.indicator, resolution);
+    if (!found) {
+      missing.push(term.indicator);
+      return;
+    }
+    value += term.sign * found.value;
+    sources.push(...found.sources);
+  });
+
+  return { value: Math.round(value * 1000) / 1000, sources, missing };
+}
+
+// Evaluate every rule for every orgUnit and period
+function evaluateRules(groups, rules, resolution) {
+  const violations = [];
+  let evaluated = 0;
+  let skipped = 0;
+
+  groups.forEach(group => {
+    rules.forEach(rule => {
+      const left = evaluateExpression(group, rule.left, resolution);
+      const right = evaluateExpression(group, rule.right, resolution);
+      const missing = [...left.missing, ...right.missing];
+
+      // Rules about indicators a group does not report at all are not applicable
+      if (left.sources.length === 0 && right.sources.length === 0) {
+        return;
+      }
+      if (missing.length > 0 && rule.missingValueStrategy === 'skip_if_any_missing') {
+        skipped++;
+        return;
+      }
+
+      evaluated++;
+      if (!OPERATORS[rule.operator](left.value, right.value)) {
+        violations.push({
+          rule: rule.name,
+          severity: rule.severity,
+          orgUnit: group.orgUnit,
+          period: group.period,
+          left: { expression: rule.left.expression, value: left.value },
+          operator: rule.operator,
+          right: { expression: rule.right.expression, value: right.value },
+          message: `${rule.left.expression} (${left.value}) ${rule.operator} ${rule.right.expression} (${right.value}) does not hold`,
+          sources: [...left.sources, ...right.sources]
+        });
+      }
+    });
+  });
+
+  return { violations, evaluated, skipped };
+}
+
+// Hold back the values behind violated error rules: they become null with valueStatus 'excluded', which
+// generate-dhis2-payload.js treats like a missing value, neither uploading it nor filling it in by name matching
+function excludeViolatingValues(processedFiles, violations) {
+  const excluded = {};
+  violations.filter(violation => violation.severity === 'error').forEach(violation => {
+    violation.sources.forEach(({ ref }) => {
+      const refKey = `${ref.fileIndex}|${ref.list}|${ref.recordIndex}`;
+      excluded[refKey] = excluded[refKey] || [];
+      excluded[refKey].push(violation.rule);
+    });
+  });
+
+  const files = processedFiles.map((file, fileIndex) => {
+    const excelData = { ...file.excelData };
+    ['indicators', 'queries'].forEach(list => {
+      if (!excelData[list]) {
+        return;
+      }
+      excelData[list] = excelData[list].map((record, recordIndex) => {
+        const rules = excluded[`${fileIndex}|${list}|${recordIndex}`];
+        return rules ? { ...record, value: null, valueStatus: 'excluded', excludedBy: [...new Set(rules)] } : record;
+      });
+    });
+    return { ...file, excelData };
+  });
+
+  return { files, excludedValues: Object.keys(excluded).length };
+}
+
+fn(state => {
+  console.log('Checking cross-indicator data quality rules...');
+
+  const dataQualityConfig = { ...defaultDataQualityConfig, ...(state.dataQualityConfig || {}) };
+  if (!DATA_QUALITY_POLICIES.includes(dataQualityConfig.policy)) {
+    throw new Error(`Unknown data quality policy '${dataQualityConfig.policy}', expected one of ${DATA_QUALITY_POLICIES.join(', ')}`);
+  }
+  const conflictConfig = { ...defaultConflictConfig, ...(state.conflictConfig || {}) };
+  if (!CONFLICT_RESOLUTIONS.includes(conflictConfig.resolution)) {
+    throw new Error(`Unknown conflict resolution '${conflictConfig.resolution}', expected one of ${CONFLICT_RESOLUTIONS.join(', ')}`);
+  }
+  const reportConfig = state.reportConfig || {};
+  const processedFiles = state.processedFiles || [];
+
+  // Invalid rules are reported and skipped rather than failing the run
+  const rules = [];
+  const dataQualityRuleErrors = [];
+  (dataQualityConfig.rules || []).forEach((rule, index) => {
+    try {
+      rules.push(compileRule(rule));
+    } catch (error) {
+      console.error(`Invalid data quality rule ${index + 1}: ${error.message}`);
+      dataQualityRuleErrors.push({ index, rule, error: error.message });
+    }
+  });
+
+  const groups = collectIndicatorValues(processedFiles, reportConfig);
+  const { violations, evaluated, skipped } = evaluateRules(groups, rules, conflictConfig.resolution);
+  const errorViolations = violations.filter(violation => violation.severity === 'error');
+
+  // Indicator files without routing report for the payload's default orgUnit
+  const where = violation => `${violation.orgUnit || 'default orgUnit'} ${violation.period}`;
+  violations.forEach(violation => {
+    console.warn(`Data quality ${violation.severity} for ${where(violation)}: ${violation.rule} - ${violation.message}`);
+  });
+
+  let files = processedFiles;
+  let excludedValues = 0;
+  if (dataQualityConfig.policy === 'exclude_values' && errorViolations.length > 0) {
+    ({ files, excludedValues } = excludeViolatingValues(processedFiles, violations));
+    console.log(`Held back ${excludedValues} value(s) behind violated rules`);
+  }
+  const blocked = dataQualityConfig.policy === 'block_upload' && errorViolations.length > 0;
+
+  const dataQualitySummary = {
+    policy: dataQualityConfig.policy,
+    rules: rules.length,
+    groups: groups.length,
+    evaluated,
+    skipped,
+    violations: violations.length,
+    errors: errorViolations.length,
+    warnings: violations.length - errorViolations.length,
+    excludedValues,
+    blocked,
+    checkedAt: new Date().toISOString()
+  };
+
+  console.log('Data quality summary:', dataQualitySummary);
+
+  // The record references are only needed inside this job
+  const dataQualityViolations = violations.map(violation => ({
+    ...violation,
+    sources: violation.sources.map(({ ref, modifiedTime, ...source }) => source)
+  }));
+
+  return {
+    ...state,
+    processedFiles: files,
+    dataQualityViolations,
+    dataQualityRuleErrors,
+    dataQualitySummary,
+    dataQualityBlocked: blocked,
+    ...(blocked ? { error: `Data quality rules blocked upload: ${errorViolations.slice(0, 3).map(v => `${where(v)} ${v.message}`).join('; ')}` } : {})
+  };
+});
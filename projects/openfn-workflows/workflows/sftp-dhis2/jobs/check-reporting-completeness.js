@@ -0,0 +1,164 @@
+/**
+ * Check reporting completeness against the facilities expected to report
+ * Runs after outlier detection, so values held back from the upload are known and count as not reported
+ */
+
+import { fn } from '@openfn/language-common';
+
+// Default completeness configuration, override with state.completenessConfig
+// expectedReporters holds one entry per dataset UID:
+//   'BfMAe6Itzgt': {
+//     name: 'HIV indicators',
+//     orgUnits: { '<orgUnitUid>': 'Kamuzu Central Hospital', ... },  // or a list of UIDs
+//     indicators: ['HTS_TST', 'TX_CURR']                              // indicator names or data element UIDs
+//   }
+// A facility counts as reporting an indicator when the payload holds a reported value for it in the period,
+// routed to that dataset, so missing, suppressed, excluded and held-back values count as not reported.
+const defaultCompletenessConfig = {
+  expectedReporters: {}
+};
+
+// Values read from a reported cell. Name-matched values (partial, fuzzy) may belong to another indicator,
+// and targets and achievements are worked out by generate-dhis2-payload.js, so none of them count.
+const REPORTED_MATCH_TYPES = ['exact', 'exact_case_insensitive', 'disaggregated', 'dq_site'];
+
+// Same key upload-to-dhis2.js holds outliers back by
+function outlierKey(dataValue) {
+  return `${dataValue.orgUnit}|${dataValue.dataElement}|${dataValue.categoryOptionCombo || ''}|${dataValue.period}`;
+}
+
+// Expected orgUnits as { uid: name }, from either a list of UIDs or a UID -> name map
+function expectedOrgUnits(orgUnits) {
+  if (Array.isArray(orgUnits)) {
+    return Object.fromEntries(orgUnits.map(uid => [uid, null]));
+  }
+  return orgUnits || {};
+}
+
+// Indicators reported per dataSet, orgUnit and period, by indicator name and by data element UID
+function collectReportedValues(dataValues, heldBackKeys) {
+  const reported = {};
+  dataValues.forEach(dataValue => {
+    if (dataValue.value === null || dataValue.value === undefined || dataValue.value === '' ||
+      !REPORTED_MATCH_TYPES.includes(dataValue.matchType) || heldBackKeys.has(outlierKey(dataValue))) {
+      return;
+    }
+    const key = `${dataValue.dataSet}|${dataValue.orgUnit}|${dataValue.period}`;
+    reported[key] = reported[key] || new Set();
+    if (dataValue.originalIndicator) {
+      reported[key].add(String(dataValue.originalIndicator).toLowerCase());
+    }
+    reported[key].add(String(dataValue.dataElement).toLowerCase());
+  });
+  return reported;
+}
+
+// Completeness matrix of one dataset for one period: one row per expected facility
+function buildCompletenessReport(dataSet, expected, period, reported) {
+  const orgUnits = expectedOrgUnits(expected.orgUnits);
+  const indicators = expected.indicators || [];
+
+  const facilities = Object.entries(orgUnits).map(([orgUnit, name]) => {
+    const values = reported[`${dataSet}|${orgUnit}|${period}`] || new Set();
+    const missingIndicators = indicators.filter(indicator => !values.has(String(indicator).toLowerCase()));
+    return {
+      orgUnit,
+      name: name || null,
+      reported: indicators.length - missingIndicators.length,
+      expected: indicators.length,
+      missingIndicators
+    };
+  });
+
+  const reportingFacilities = facilities.filter(facility => facility.reported > 0);
+  const expectedCells = facilities.length * indicators.length;
+  const reportedCells = facilities.reduce((sum, facility) => sum + facility.reported, 0);
+  const percentage = value => Math.round(value * 1000) / 10;
+
+  return {
+    dataSet,
+    name: expected.name || null,
+    period,
+    expectedFacilities: facilities.length,
+    reportingFacilities: reportingFacilities.length,
+    facilityCompleteness: facilities.length > 0 ? percentage(reportingFacilities.length / facilities.length) : null,
+    completeness: expectedCells > 0 ? percentage(reportedCells / expectedCells) : null,
+    missingFacilities: facilities
+      .filter(facility => facility.reported === 0)
+      .map(({ orgUnit, name }) => ({ orgUnit, name })),
+    // Indicators not reported by facilities that did report something
+    missingIndicators: reportingFacilities
+      .filter(facility => facility.missingIndicators.length > 0)
+      .map(({ orgUnit, name, missingIndicators }) => ({ orgUnit, name, indicators: missingIndicators })),
+    indicatorCoverage: Object.fromEntries(indicators.map(indicator => [
+      indicator,
+      facilities.filter(facility => !facility.missingIndicators.includes(indicator)).length
+    ])),
+    facilities
+  };
+}
+
+fn(state => {
+  console.log('Checking reporting completeness against expected reporters...');
+
+  if (!state.payload) {
+    throw new Error('No payload found in state. Ensure the generate-dhis2-payload job executed successfully.');
+  }
+
+  const completenessConfig = { ...defaultCompletenessConfig, ...(state.completenessConfig || {}) };
+  const expectedReporters = completenessConfig.expectedReporters || {};
+
+  if (Object.keys(expectedReporters).length === 0) {
+    console.log('No expected reporters configured, skipping completeness check');
+    return { ...state, completenessReport: [], completenessSummary: null };
+  }
+
+  const dataValues = state.payload.dataValues || [];
+  // Outliers flagged with holdBack are left out of the upload by upload-to-dhis2.js
+  const heldBackKeys = new Set((state.outliers || []).filter(outlier => outlier.heldBack).map(outlierKey));
+  const reported = collectReportedValues(dataValues, heldBackKeys);
+  const fallbackPeriod = state.payload.period || null;
+  const completenessReport = [];
+
+  Object.entries(expectedReporters).forEach(([dataSet, expected]) => {
+    const orgUnits = expectedOrgUnits(expected.orgUnits);
+    const indicators = (expected.indicators || []).map(indicator => String(indicator).toLowerCase());
+
+    // Every period this dataset has values for; a dataset nobody reported is checked for the payload's period
+    const periods = [...new Set(dataValues
+      .filter(dataValue => dataValue.dataSet === dataSet && orgUnits.hasOwnProperty(dataValue.orgUnit) &&
+        (indicators.includes(String(dataValue.originalIndicator).toLowerCase()) ||
+          indicators.includes(String(dataValue.dataElement).toLowerCase())))
+      .map(dataValue => String(dataValue.period)))];
+    if (periods.length === 0 && fallbackPeriod) {
+      periods.push(String(fallbackPeriod));
+    }
+
+    periods.sort().forEach(period => {
+      const report = buildCompletenessReport(dataSet, expected, period, reported);
+      completenessReport.push(report);
+      console.log(`Completeness ${report.name || dataSet} ${period}: ${report.completeness}% ` +
+        `(${report.reportingFacilities}/${report.expectedFacilities} facilities reporting, ` +
+        `${report.missingFacilities.length} missing)`);
+    });
+  });
+
+  const completenessSummary = completenessReport.map(report => ({
+    dataSet: report.dataSet,
+    name: report.name,
+    period: report.period,
+    completeness: report.completeness,
+    facilityCompleteness: report.facilityCompleteness,
+    expectedFacilities: report.expectedFacilities,
+    reportingFacilities: report.reportingFacilities,
+    missingFacilities: report.missingFacilities.length,
+    facilitiesMissingIndicators: report.missingIndicators.length
+  }));
+
+  return {
+    ...state,
+    completenessReport,
+    completenessSummary,
+    completenessCheckedAt: new Date().toISOString()
+  };
+});
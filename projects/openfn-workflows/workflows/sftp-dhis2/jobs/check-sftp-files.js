@@ -3,48 +3,326 @@
  * This job is triggered by cron to periodically check for changes
  */
 
-import { list, stat } from '@openfn/language-sftp';
+import { list, get, stat } from '@openfn/language-sftp';
 import { fn } from '@openfn/language-common';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
 
 // Configuration
-const SFTP_DIRECTORY = '/uploads/hiv-indicators/';
-const SUPPORTED_EXTENSIONS = ['.xlsx', '.xls'];
+const SUPPORTED_EXTENSIONS = ['.xlsx', '.xls', '.ods', '.csv', '.zip'];
+// Changed files are fetched where download-sftp-files.js stores them, so new files are not downloaded twice
+const LOCAL_DOWNLOAD_PATH = '/tmp/openfn-downloads/';
+const HASH_ALGORITHM = 'sha256';
+const MANIFEST_SUFFIXES = ['.manifest.json', '.manifest.yaml', '.manifest.yml'];
 
-list(SFTP_DIRECTORY, (state) => {
-  console.log('Checking SFTP directory for new files...');
+// Default scan configuration, override with state.scanConfig
+const defaultScanConfig = {
+  rootDirectory: '/uploads/',
+  recursive: true,
+  maxDepth: 4,
+  // Globs are matched against the path relative to rootDirectory
+  include: ['**/*.xlsx', '**/*.xls', '**/*.ods', '**/*.csv', '**/*.zip'],
+  exclude: ['**/processed/**', '**/archive/**', '**/quarantine/**', '**/~$*'],
+  // Folder routes are tried in order; the first template matching the start of
+  // the file's folder wins. ':name' segments capture the folder name.
+  folderRoutes: [
+    { template: 'hiv-indicators', dataSet: 'BfMAe6Itzgt', orgUnit: 'rXoaHGAXWy9' },
+    { template: ':district/:program' }
+  ],
+  // Lookup tables for captured ':district' and ':program' folder names
+  districtOrgUnits: {},
+  programDataSets: {
+    'hiv-indicators': 'BfMAe6Itzgt'
+  },
+  // Upload-in-progress guard for changed files:
+  //   'polls'  - size must be unchanged for requiredStablePolls consecutive polls
+  //   'marker' - a sidecar marker (e.g. report.xlsx.done) must exist
+  //   'either' - a marker is accepted immediately, otherwise wait for stable polls
+  //   'off'    - take files as soon as they are listed
+  stability: {
+    mode: 'either',
+    requiredStablePolls: 2,
+    markerExtensions: ['.done', '.ready']
+  }
+};
+
+// Convert a glob ('**', '*', '?') into an anchored, case-insensitive RegExp
+function globToRegExp(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // '**/' matches zero or more folders, a trailing '**' matches everything
+      if (glob[i + 2] === '/') {
+        pattern += '(?:.*/)?';
+        i += 2;
+      } else {
+        pattern += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`, 'i');
+}
+
+function matchesAny(relativePath, globs) {
+  return (globs || []).some(glob => globToRegExp(glob).test(relativePath));
+}
+
+// Resolve the routing metadata (default orgUnit/dataSet) for a file's folder
+function resolveRouting(relativeFolder, scanConfig) {
+  const folderSegments = relativeFolder.split('/').filter(Boolean);
+
+  for (const route of scanConfig.folderRoutes || []) {
+    const templateSegments = route.template.split('/').filter(Boolean);
+    if (templateSegments.length > folderSegments.length) {
+      continue;
+    }
+
+    const captures = {};
+    const matched = templateSegments.every((segment, index) => {
+      if (segment.startsWith(':')) {
+        captures[segment.substring(1)] = folderSegments[index];
+        return true;
+      }
+      return segment.toLowerCase() === folderSegments[index].toLowerCase();
+    });
+
+    if (matched) {
+      const district = captures.district ? captures.district.toLowerCase() : null;
+      const program = captures.program ? captures.program.toLowerCase() : null;
+      return {
+        route: route.template,
+        folder: relativeFolder,
+        ...captures,
+        orgUnit: route.orgUnit || (district && scanConfig.districtOrgUnits[district]) || null,
+        dataSet: route.dataSet || (program && scanConfig.programDataSets[program]) || null
+      };
+    }
+  }
+
+  return { route: null, folder: relativeFolder, orgUnit: null, dataSet: null };
+}
+
+// Tracking used to be keyed by file name; re-key those entries by their path relative to the root so
+// files imported before the recursive scan are not taken for new ones. Only names listed exactly once
+// are migrated, since a name shared by several folders cannot tell which file the entry was for.
+function migrateLegacyTracking(fileTracking, listedFiles) {
+  const tracking = { ...fileTracking };
+  const nameCounts = {};
+  listedFiles.forEach(file => {
+    nameCounts[file.name] = (nameCounts[file.name] || 0) + 1;
+  });
+
+  listedFiles.forEach(file => {
+    const legacyEntry = tracking[file.name];
+    if (file.relativePath === file.name || tracking[file.relativePath] || !legacyEntry ||
+        nameCounts[file.name] > 1 || (legacyEntry.key && legacyEntry.key !== file.name)) {
+      return;
+    }
+    console.log(`Migrating legacy tracking entry ${file.name} -> ${file.relativePath}`);
+    tracking[file.relativePath] = { ...legacyEntry, key: file.relativePath };
+    delete tracking[file.name];
+  });
+
+  return tracking;
+}
+
+// Decide whether a changed file has finished uploading
+function checkStability(fileInfo, previousObservation, hasMarker, stability) {
+  const sameSize = previousObservation && previousObservation.size === fileInfo.size;
+  const stablePolls = sameSize ? previousObservation.stablePolls + 1 : 1;
+  const observation = {
+    size: fileInfo.size,
+    modifiedTime: fileInfo.modifiedTime,
+    stablePolls,
+    firstSeen: sameSize ? previousObservation.firstSeen : new Date().toISOString(),
+    lastSeen: new Date().toISOString()
+  };
+
+  switch (stability.mode) {
+    case 'off':
+      return { stable: true, observation };
+    case 'marker':
+      return { stable: hasMarker, observation, reason: hasMarker ? null : 'waiting for marker file' };
+    case 'polls':
+    case 'either': {
+      if (stability.mode === 'either' && hasMarker) {
+        return { stable: true, observation };
+      }
+      const stable = stablePolls >= stability.requiredStablePolls;
+      return {
+        stable,
+        observation,
+        reason: stable ? null : `size unchanged for ${stablePolls}/${stability.requiredStablePolls} polls`
+      };
+    }
+    default:
+      throw new Error(`Unknown stability mode: ${stability.mode}`);
+  }
+}
+
+// Walk the SFTP tree below rootDirectory and return every file entry
+async function scanDirectory(state, scanConfig, relativeFolder = '', depth = 0) {
+  const directory = `${scanConfig.rootDirectory}${relativeFolder}`;
+  const { data: entries } = await list(directory)(state);
+  let files = [];
+
+  for (const entry of entries || []) {
+    const relativePath = `${relativeFolder}${entry.name}`;
+
+    if (entry.type === 'directory') {
+      if (!scanConfig.recursive || depth >= scanConfig.maxDepth) {
+        continue;
+      }
+      if (matchesAny(`${relativePath}/`, scanConfig.exclude)) {
+        console.log(`Skipping excluded folder: ${relativePath}/`);
+        continue;
+      }
+      files = files.concat(await scanDirectory(state, scanConfig, `${relativePath}/`, depth + 1));
+    } else if (entry.type === 'file') {
+      files.push({ ...entry, relativePath, relativeFolder });
+    }
+  }
+
+  return files;
+}
+
+// Compute the content fingerprint of a local file
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(HASH_ALGORITHM);
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Index fingerprints of files that have already been imported. state.contentHashes never expires,
+// unlike fileTracking entries, so content imported long ago is still recognised.
+function buildHashIndex(fileTracking, contentHashes) {
+  const hashIndex = {};
+  Object.entries(contentHashes).forEach(([contentHash, entry]) => {
+    hashIndex[contentHash] = entry.key;
+  });
+  Object.entries(fileTracking).forEach(([fileKey, fileInfo]) => {
+    if (fileInfo.contentHash && fileInfo.status === 'processed') {
+      hashIndex[fileInfo.contentHash] = fileKey;
+    }
+  });
+  return hashIndex;
+}
+
+// Track listed files that need no processing (duplicate content or unchanged), so they are not
+// fingerprinted again next poll. A re-touched file whose bytes match its own entry keeps that entry
+// with the new size and mtime. Same as update-file-tracking.js, which only runs after an upload.
+function trackCheckedFiles(fileTracking, currentFileList, skipKeys) {
+  const tracking = { ...fileTracking };
+  const checkedAt = new Date().toISOString();
+  Object.entries(currentFileList).forEach(([fileKey, fileInfo]) => {
+    if (skipKeys.has(fileKey)) {
+      return;
+    }
+    if (fileInfo.duplicateOf === fileKey && tracking[fileKey]) {
+      tracking[fileKey] = { ...tracking[fileKey], size: fileInfo.size, modifiedTime: fileInfo.modifiedTime, lastChecked: checkedAt };
+    } else if (!tracking[fileKey] || fileInfo.duplicateOf) {
+      tracking[fileKey] = { ...fileInfo, lastChecked: checkedAt, status: fileInfo.duplicateOf ? 'duplicate' : 'checked' };
+    }
+  });
+  return tracking;
+}
+
+fn(async (state) => {
+  const scanConfig = { ...defaultScanConfig, ...(state.scanConfig || {}) };
+  console.log(`Checking SFTP directory ${scanConfig.rootDirectory} for new files (recursive: ${scanConfig.recursive})...`);
+
+  const listedFiles = await scanDirectory(state, scanConfig);
   
   // Get previous file tracking from state
-  const previousFiles = state.fileTracking || {};
+  const previousFiles = migrateLegacyTracking(state.fileTracking || {}, listedFiles);
+  const previousObservations = state.uploadObservations || {};
   const currentFiles = {};
-  let newFilesFound = false;
-  const newFiles = [];
+  const candidateFiles = [];
+  const pendingFiles = [];
+  const retryWaiting = [];
+  const downloadRetries = state.downloadRetries || {};
+  const uploadObservations = {};
+  const stability = { ...defaultScanConfig.stability, ...(scanConfig.stability || {}) };
+  const listedPaths = new Set(listedFiles.map(file => file.relativePath));
   
-  // Process each file in the directory
-  state.data.forEach(file => {
-    if (file.type === 'file') {
+  // Process each file found below the root directory
+  listedFiles.forEach(file => {
+    if (matchesAny(file.relativePath, scanConfig.include) && !matchesAny(file.relativePath, scanConfig.exclude)) {
       const extension = file.name.toLowerCase().substring(file.name.lastIndexOf('.'));
       
       // Only process supported file types
       if (SUPPORTED_EXTENSIONS.includes(extension)) {
-        const fileKey = file.name;
+        const fileKey = file.relativePath;
         const fileInfo = {
+          key: fileKey,
           name: file.name,
           size: file.size,
           modifiedTime: file.modifiedTime,
-          path: SFTP_DIRECTORY + file.name
+          path: scanConfig.rootDirectory + file.relativePath,
+          routing: resolveRouting(file.relativeFolder, scanConfig)
         };
         
         currentFiles[fileKey] = fileInfo;
         
-        // Check if this is a new file or has been modified
+        // Only files whose metadata changed need to be fingerprinted
         const previousFile = previousFiles[fileKey];
         if (!previousFile || 
             previousFile.modifiedTime !== fileInfo.modifiedTime ||
             previousFile.size !== fileInfo.size) {
           
-          console.log(`New or updated file detected: ${fileKey}`);
-          newFiles.push(fileInfo);
-          newFilesFound = true;
+          // A file whose download failed in an earlier run waits out the backoff set by download-sftp-files.js
+          const retry = downloadRetries[fileKey];
+          if (retry && retry.nextAttemptAt && Date.parse(retry.nextAttemptAt) > Date.now()) {
+            console.log(`Download of ${fileKey} failed ${retry.runs} time(s), next attempt after ${retry.nextAttemptAt}`);
+            delete currentFiles[fileKey];
+            retryWaiting.push({ key: fileKey, runs: retry.runs, nextAttemptAt: retry.nextAttemptAt });
+            return;
+          }
+          
+          const markerFile = stability.markerExtensions
+            .map(markerExtension => `${fileKey}${markerExtension}`)
+            .find(markerPath => listedPaths.has(markerPath));
+          const { stable, observation, reason } = checkStability(
+            fileInfo, previousObservations[fileKey], Boolean(markerFile), stability
+          );
+          
+          if (!stable) {
+            // Leave it out of the file list so it is re-examined on the next poll
+            console.log(`Upload may still be in progress, pending: ${fileKey} (${reason})`);
+            delete currentFiles[fileKey];
+            uploadObservations[fileKey] = observation;
+            pendingFiles.push({ ...fileInfo, stablePolls: observation.stablePolls, reason });
+            return;
+          }
+          
+          if (markerFile) {
+            fileInfo.markerPath = scanConfig.rootDirectory + markerFile;
+          }
+          
+          // Optional upload manifest next to the workbook, e.g. report.xlsx.manifest.json
+          const manifestFile = MANIFEST_SUFFIXES
+            .map(suffix => `${fileKey}${suffix}`)
+            .find(manifestPath => listedPaths.has(manifestPath));
+          if (manifestFile) {
+            fileInfo.manifestPath = scanConfig.rootDirectory + manifestFile;
+          }
+          console.log(`Changed file detected, fingerprint required: ${fileKey}`);
+          candidateFiles.push(fileInfo);
+        } else if (previousFile.contentHash) {
+          fileInfo.contentHash = previousFile.contentHash;
         }
       }
     }
@@ -53,19 +331,108 @@ list(SFTP_DIRECTORY, (state) => {
   // Update state with findings
   return {
     ...state,
-    newFilesFound,
-    newFiles,
+    fileTracking: previousFiles,
+    candidateFiles,
+    pendingFiles,
+    retryWaiting,
+    uploadObservations,
     currentFileList: currentFiles,
+    scanRoot: scanConfig.rootDirectory,
     lastChecked: new Date().toISOString()
   };
 });
 
+// Fingerprint changed files and skip byte-identical content
+fn(async (state) => {
+  const hashIndex = buildHashIndex(state.fileTracking || {}, state.contentHashes || {});
+  const newFiles = [];
+  const duplicateFiles = [];
+  const fingerprintErrors = [];
+
+  for (const file of state.candidateFiles) {
+    // Same layout as download-sftp-files.js, which reuses the copy of a new file after checking its hash
+    const localPath = `${LOCAL_DOWNLOAD_PATH}${file.key.replace(/^\/+/, '')}`;
+    let keepLocalCopy = false;
+
+    try {
+      fs.mkdirSync(path.dirname(localPath), { recursive: true });
+      await get(file.path, localPath)(state);
+      const contentHash = await hashFile(localPath);
+
+      file.contentHash = contentHash;
+      state.currentFileList[file.key].contentHash = contentHash;
+
+      // Same bytes as an imported file (any name or mtime) or as an earlier file in this batch
+      const duplicateOf = hashIndex[contentHash];
+      if (duplicateOf) {
+        console.log(`Skipping duplicate content: ${file.key} matches ${duplicateOf}`);
+        state.currentFileList[file.key].duplicateOf = duplicateOf;
+        duplicateFiles.push({ ...file, duplicateOf });
+        continue;
+      }
+
+      hashIndex[contentHash] = file.key;
+      console.log(`New or updated file detected: ${file.key} (${HASH_ALGORITHM}: ${contentHash})`);
+      file.localPath = localPath;
+      keepLocalCopy = true;
+      newFiles.push(file);
+    } catch (error) {
+      console.error(`Failed to fingerprint ${file.name}:`, error);
+      fingerprintErrors.push({
+        key: file.key,
+        fileName: file.name,
+        error: error.message
+      });
+    } finally {
+      if (!keepLocalCopy && fs.existsSync(localPath)) {
+        fs.unlinkSync(localPath);
+      }
+    }
+  }
+
+  const checkSummary = {
+    filesListed: Object.keys(state.currentFileList).length,
+    changedFiles: state.candidateFiles.length,
+    newFiles: newFiles.length,
+    pending: state.pendingFiles.map(f => ({
+      key: f.key,
+      size: f.size,
+      reason: f.reason
+    })),
+    retryWaiting: state.retryWaiting,
+    duplicates: duplicateFiles.map(f => ({
+      name: f.name,
+      duplicateOf: f.duplicateOf,
+      contentHash: f.contentHash
+    })),
+    fingerprintErrors: fingerprintErrors.length
+  };
+
+  console.log('File check summary:', checkSummary);
+
+  return {
+    ...state,
+    newFilesFound: newFiles.length > 0,
+    newFiles,
+    duplicateFiles,
+    fingerprintErrors,
+    checkSummary
+  };
+});
+
 // If no new files found, stop the workflow
 fn((state) => {
   if (!state.newFilesFound) {
+    if (state.pendingFiles.length > 0) {
+      console.log(`${state.pendingFiles.length} file(s) still uploading, will re-check on the next poll.`);
+    }
+    // update-file-tracking.js does not run on this path, so record duplicates and checked files here;
+    // files that could not be fingerprinted stay untracked and are retried
+    const fingerprintErrorKeys = new Set(state.fingerprintErrors.map(error => error.key));
     console.log('No new files found. Workflow will stop here.');
     return {
       ...state,
+      fileTracking: trackCheckedFiles(state.fileTracking || {}, state.currentFileList, fingerprintErrorKeys),
       workflowComplete: true
     };
   }
@@ -0,0 +1,208 @@
+/**
+ * Detect outliers against each facility's earlier values before the DHIS2 upload
+ * Every reported payload value is compared with the history of its orgUnit, data element and category option combo
+ */
+
+import { fn } from '@openfn/language-common';
+import fs from 'fs';
+
+// Default outlier configuration, override with state.outlierConfig
+//   methods    - 'z_score' (mean and standard deviation) and/or 'mad' (median absolute deviation)
+//   minHistory - earlier periods needed before a value is checked at all; at least 2, the fewest a
+//                standard deviation can be worked out from
+//   holdBack   - flagged values are left out of the upload by upload-to-dhis2.js instead of only reported
+const defaultOutlierConfig = {
+  methods: ['z_score', 'mad'],
+  zScoreThreshold: 3,
+  madThreshold: 3.5,
+  minHistory: 4,
+  holdBack: false
+};
+
+// Default value history configuration, override with state.valueHistoryConfig (shared with update-file-tracking.js)
+//   store 'state' keeps the history in state.valueHistory next to state.fileTracking,
+//   store 'file' keeps it in a local JSON file at path, which must survive between runs
+const defaultValueHistoryConfig = {
+  store: 'state',
+  path: '/tmp/openfn-downloads/.history/value-history.json',
+  periods: 24
+};
+
+const OUTLIER_METHODS = ['z_score', 'mad'];
+
+// Values read from a reported cell. Name-matched values (partial, fuzzy) may belong to another indicator,
+// and targets and achievements are worked out rather than reported, so neither is checked.
+const REPORTED_MATCH_TYPES = ['exact', 'exact_case_insensitive', 'disaggregated', 'dq_site'];
+
+// Scale factor that makes the MAD comparable to a standard deviation for normal data
+const MAD_SCALE = 0.6745;
+
+// History key for a data value; disaggregations keep their own history
+function historyKey(dataValue) {
+  return `${dataValue.orgUnit}|${dataValue.dataElement}|${dataValue.categoryOptionCombo || ''}`;
+}
+
+// Load earlier values from state or the local store, keyed by historyKey
+function loadValueHistory(state, historyConfig) {
+  if (historyConfig.store !== 'file') {
+    return state.valueHistory || {};
+  }
+  if (!fs.existsSync(historyConfig.path)) {
+    console.log(`No value history at ${historyConfig.path} yet`);
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(historyConfig.path, 'utf8'));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Counts cannot go below zero, so neither can the expected range
+function expectedRange(center, spread) {
+  return { lower: round(Math.max(0, center - spread)), upper: round(center + spread) };
+}
+
+// Compare a value with the mean and standard deviation of its history
+function checkZScore(value, history, threshold) {
+  const mean = history.reduce((sum, v) => sum + v, 0) / history.length;
+  const sd = Math.sqrt(history.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (history.length - 1));
+  // A history that never changed gives no spread to judge by
+  if (sd === 0) {
+    return null;
+  }
+  const score = (value - mean) / sd;
+  return {
+    method: 'z_score',
+    score: round(score),
+    threshold,
+    center: round(mean),
+    expectedRange: expectedRange(mean, threshold * sd),
+    outlier: Math.abs(score) > threshold
+  };
+}
+
+// Compare a value with the median and median absolute deviation of its history, which one earlier
+// outlier cannot drag along the way it drags the mean
+function checkMad(value, history, threshold) {
+  const center = median(history);
+  const mad = median(history.map(v => Math.abs(v - center)));
+  if (mad === 0) {
+    return null;
+  }
+  const score = (MAD_SCALE * (value - center)) / mad;
+  return {
+    method: 'mad',
+    score: round(score),
+    threshold,
+    center: round(center),
+    expectedRange: expectedRange(center, (threshold * mad) / MAD_SCALE),
+    outlier: Math.abs(score) > threshold
+  };
+}
+
+// Check one data value against the other periods in its history
+function checkDataValue(dataValue, entry, outlierConfig) {
+  const value = Number(dataValue.value);
+  const history = Object.entries((entry && entry.values) || {})
+    .filter(([period]) => period !== String(dataValue.period))
+    .map(([, historyValue]) => Number(historyValue))
+    .filter(historyValue => Number.isFinite(historyValue));
+
+  if (!Number.isFinite(value) || history.length < outlierConfig.minHistory) {
+    return { checked: false, historyPeriods: history.length };
+  }
+
+  const results = outlierConfig.methods
+    .map(method => (method === 'z_score'
+      ? checkZScore(value, history, outlierConfig.zScoreThreshold)
+      : checkMad(value, history, outlierConfig.madThreshold)))
+    .filter(Boolean);
+
+  return { checked: results.length > 0, historyPeriods: history.length, results };
+}
+
+fn(state => {
+  console.log('Checking payload values against historical values...');
+
+  if (!state.payload) {
+    throw new Error('No payload found in state. Ensure the generate-dhis2-payload job executed successfully.');
+  }
+
+  const outlierConfig = { ...defaultOutlierConfig, ...(state.outlierConfig || {}) };
+  const historyConfig = { ...defaultValueHistoryConfig, ...(state.valueHistoryConfig || {}) };
+
+  const unknownMethods = outlierConfig.methods.filter(method => !OUTLIER_METHODS.includes(method));
+  if (unknownMethods.length > 0) {
+    throw new Error(`Unknown outlier method(s) ${unknownMethods.join(', ')}, expected ${OUTLIER_METHODS.join(' or ')}`);
+  }
+  if (!Number.isInteger(outlierConfig.minHistory) || outlierConfig.minHistory < 2) {
+    throw new Error(`Invalid outlier minHistory ${JSON.stringify(outlierConfig.minHistory)}, expected a whole number of at least 2`);
+  }
+
+  const valueHistory = loadValueHistory(state, historyConfig);
+  const outliers = [];
+  let checked = 0;
+  let insufficientHistory = 0;
+  let notReported = 0;
+
+  state.payload.dataValues.forEach(dataValue => {
+    if (!REPORTED_MATCH_TYPES.includes(dataValue.matchType)) {
+      notReported++;
+      return;
+    }
+    const result = checkDataValue(dataValue, valueHistory[historyKey(dataValue)], outlierConfig);
+    if (!result.checked) {
+      insufficientHistory++;
+      return;
+    }
+    checked++;
+
+    const flagged = result.results.filter(method => method.outlier);
+    if (flagged.length === 0) {
+      return;
+    }
+
+    const outlier = {
+      key: historyKey(dataValue),
+      dataElement: dataValue.dataElement,
+      orgUnit: dataValue.orgUnit,
+      period: dataValue.period,
+      categoryOptionCombo: dataValue.categoryOptionCombo,
+      indicator: dataValue.originalIndicator || null,
+      value: dataValue.value,
+      expectedRange: flagged[0].expectedRange,
+      methods: result.results,
+      historyPeriods: result.historyPeriods,
+      heldBack: outlierConfig.holdBack === true
+    };
+    outliers.push(outlier);
+    console.warn(`Outlier ${outlier.indicator || outlier.dataElement} at ${outlier.orgUnit} ${outlier.period}: ` +
+      `${outlier.value} outside ${outlier.expectedRange.lower}-${outlier.expectedRange.upper} (${flagged.map(m => m.method).join(', ')})`);
+  });
+
+  const outlierSummary = {
+    historyStore: historyConfig.store,
+    values: state.payload.dataValues.length,
+    checked,
+    insufficientHistory,
+    notReported,
+    outliers: outliers.length,
+    heldBack: outliers.filter(outlier => outlier.heldBack).length,
+    checkedAt: new Date().toISOString()
+  };
+
+  console.log('Outlier summary:', outlierSummary);
+
+  return {
+    ...state,
+    outliers,
+    outlierSummary
+  };
+});
@@ -5,9 +5,229 @@
 
 import { get } from '@openfn/language-sftp';
 import { fn } from '@openfn/language-common';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
 
 // Configuration
 const LOCAL_DOWNLOAD_PATH = '/tmp/openfn-downloads/';
+const SUPPORTED_EXTENSIONS = ['.xlsx', '.xls', '.ods', '.csv', '.zip'];
+
+// Default download configuration, override with state.downloadConfig
+const defaultDownloadConfig = {
+  concurrency: 3,
+  maxAttempts: 4, // per run
+  initialBackoffMs: 1000,
+  maxBackoffMs: 30000,
+  // A file still failing after maxRuns runs is given up on and tracked as failed until it changes;
+  // check-sftp-files.js waits initialRunBackoffMinutes, doubling up to maxRunBackoffMinutes, between runs
+  maxRuns: 5,
+  initialRunBackoffMinutes: 15,
+  maxRunBackoffMinutes: 720
+};
+
+// SFTP/network errors worth retrying; anything else fails the file immediately
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN', 'ERR_INTEGRITY'];
+const TRANSIENT_ERROR_PATTERN = /timed? ?out|connection (lost|closed|reset)|no sftp connection|channel open failure|handshake/i;
+
+// Default webhook configuration, override with state.webhookConfig
+// The shared secret comes from the credential (webhookSecret) or SFTP_WEBHOOK_SECRET
+const defaultWebhookConfig = {
+  allowedRoots: ['/uploads/'],
+  signatureHeader: 'x-webhook-signature',
+  maxClockSkewSeconds: 300
+};
+
+// Folder routing for webhook files, the same settings as defaultScanConfig in check-sftp-files.js
+// (override with state.scanConfig), so a file gets the same orgUnit/dataSet whichever trigger found it
+const defaultRoutingConfig = {
+  folderRoutes: [
+    { template: 'hiv-indicators', dataSet: 'BfMAe6Itzgt', orgUnit: 'rXoaHGAXWy9' },
+    { template: ':district/:program' }
+  ],
+  districtOrgUnits: {},
+  programDataSets: {
+    'hiv-indicators': 'BfMAe6Itzgt'
+  }
+};
+
+// Accepted webhook body fields; anything else is rejected
+const webhookPayloadSchema = {
+  filePath: { type: 'string', required: true },
+  timestamp: { type: 'string', required: true, format: 'date-time' },
+  fileName: { type: 'string' },
+  fileSize: { type: 'integer', minimum: 0 },
+  modifiedTime: { type: 'string', format: 'date-time' },
+  action: { type: 'string' },
+  signature: { type: 'string' }
+};
+
+// Check the webhook body against webhookPayloadSchema
+function validateWebhookSchema(body) {
+  const errors = [];
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return ['Webhook body must be a JSON object'];
+  }
+
+  Object.keys(body).forEach(field => {
+    if (!webhookPayloadSchema[field]) {
+      errors.push(`Unexpected field '${field}'`);
+    }
+  });
+
+  Object.entries(webhookPayloadSchema).forEach(([field, rule]) => {
+    const value = body[field];
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) {
+        errors.push(`Missing required field '${field}'`);
+      }
+      return;
+    }
+
+    if (rule.type === 'integer' && !Number.isInteger(value)) {
+      errors.push(`Field '${field}' must be an integer`);
+    } else if (rule.type === 'string' && typeof value !== 'string') {
+      errors.push(`Field '${field}' must be a string`);
+    } else if (rule.minimum !== undefined && value < rule.minimum) {
+      errors.push(`Field '${field}' must be >= ${rule.minimum}`);
+    } else if (rule.format === 'date-time' && isNaN(Date.parse(value))) {
+      errors.push(`Field '${field}' must be an ISO 8601 date-time`);
+    }
+  });
+
+  return errors;
+}
+
+// Canonical form that is signed: the body without its signature, keys sorted
+function canonicalWebhookBody(body) {
+  const canonical = {};
+  Object.keys(body).sort().forEach(field => {
+    if (field !== 'signature') {
+      canonical[field] = body[field];
+    }
+  });
+  return JSON.stringify(canonical);
+}
+
+// Verify the 'sha256=<hex>' HMAC signature sent by the file watcher
+function verifyWebhookSignature(state, body, webhookConfig) {
+  const secret = state.configuration?.webhookSecret || process.env.SFTP_WEBHOOK_SECRET;
+  if (!secret) {
+    return 'Webhook secret is not configured, refusing unsigned requests';
+  }
+
+  const headers = state.request?.headers || {};
+  const provided = headers[webhookConfig.signatureHeader] || body.signature;
+  if (!provided) {
+    return `Missing signature (${webhookConfig.signatureHeader} header or 'signature' field)`;
+  }
+
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(canonicalWebhookBody(body)).digest('hex')}`;
+  const providedBuffer = Buffer.from(String(provided));
+  const expectedBuffer = Buffer.from(expected);
+  if (providedBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(providedBuffer, expectedBuffer)) {
+    return 'Invalid webhook signature';
+  }
+
+  const skewSeconds = Math.abs(Date.now() - Date.parse(body.timestamp)) / 1000;
+  if (skewSeconds > webhookConfig.maxClockSkewSeconds) {
+    return `Webhook timestamp is ${Math.round(skewSeconds)}s away from server time (max ${webhookConfig.maxClockSkewSeconds}s)`;
+  }
+
+  return null;
+}
+
+// Resolve the routing metadata (default orgUnit/dataSet) for a file's folder, as check-sftp-files.js does.
+// Keep the two copies identical: test-folder-routing.js runs both jobs on the same paths.
+function resolveRouting(relativeFolder, scanConfig) {
+  const folderSegments = relativeFolder.split('/').filter(Boolean);
+
+  for (const route of scanConfig.folderRoutes || []) {
+    const templateSegments = route.template.split('/').filter(Boolean);
+    if (templateSegments.length > folderSegments.length) {
+      continue;
+    }
+
+    const captures = {};
+    const matched = templateSegments.every((segment, index) => {
+      if (segment.startsWith(':')) {
+        captures[segment.substring(1)] = folderSegments[index];
+        return true;
+      }
+      return segment.toLowerCase() === folderSegments[index].toLowerCase();
+    });
+
+    if (matched) {
+      const district = captures.district ? captures.district.toLowerCase() : null;
+      const program = captures.program ? captures.program.toLowerCase() : null;
+      return {
+        route: route.template,
+        folder: relativeFolder,
+        ...captures,
+        orgUnit: route.orgUnit || (district && scanConfig.districtOrgUnits[district]) || null,
+        dataSet: route.dataSet || (program && scanConfig.programDataSets[program]) || null
+      };
+    }
+  }
+
+  return { route: null, folder: relativeFolder, orgUnit: null, dataSet: null };
+}
+
+// Resolve filePath and make sure it stays inside one of the allowed SFTP roots
+function resolveWithinRoots(filePath, allowedRoots) {
+  if (!filePath.startsWith('/') || filePath.includes('\0')) {
+    return null;
+  }
+
+  const resolvedPath = path.posix.normalize(filePath);
+  for (const root of allowedRoots) {
+    const normalizedRoot = path.posix.normalize(root.endsWith('/') ? root : `${root}/`);
+    if (resolvedPath.startsWith(normalizedRoot) && resolvedPath.length > normalizedRoot.length) {
+      return { resolvedPath, root: normalizedRoot, key: resolvedPath.substring(normalizedRoot.length) };
+    }
+  }
+  return null;
+}
+
+// Validate, authenticate and confine a file-change webhook call
+function validateWebhookRequest(state, webhookConfig) {
+  const body = state.data;
+  const schemaErrors = validateWebhookSchema(body);
+  if (schemaErrors.length > 0) {
+    return { errors: schemaErrors };
+  }
+
+  const signatureError = verifyWebhookSignature(state, body, webhookConfig);
+  if (signatureError) {
+    return { errors: [signatureError] };
+  }
+
+  const location = resolveWithinRoots(body.filePath, webhookConfig.allowedRoots);
+  if (!location) {
+    return { errors: [`File path '${body.filePath}' is outside the allowed SFTP roots (${webhookConfig.allowedRoots.join(', ')})`] };
+  }
+
+  const name = location.resolvedPath.split('/').pop();
+  if (!SUPPORTED_EXTENSIONS.includes(path.extname(name).toLowerCase())) {
+    return { errors: [`Unsupported file type: ${name}`] };
+  }
+
+  const routingConfig = { ...defaultRoutingConfig, ...(state.scanConfig || {}) };
+  const relativeFolder = location.key.substring(0, location.key.lastIndexOf('/') + 1);
+
+  return {
+    errors: [],
+    file: {
+      key: location.key,
+      name,
+      path: location.resolvedPath,
+      size: body.fileSize ?? null,
+      modifiedTime: body.modifiedTime || new Date().toISOString(),
+      routing: resolveRouting(relativeFolder, routingConfig)
+    }
+  };
+}
 
 fn((state) => {
   console.log('Starting file download process...');
@@ -19,15 +239,27 @@ fn((state) => {
     // From cron check workflow
     filesToDownload = state.newFiles;
     console.log(`Processing ${filesToDownload.length} files from cron check`);
-  } else if (state.data && state.data.filePath) {
-    // From webhook trigger - single file
-    filesToDownload = [{
-      name: state.data.fileName || state.data.filePath.split('/').pop(),
-      path: state.data.filePath,
-      size: state.data.fileSize || null,
-      modifiedTime: state.data.modifiedTime || new Date().toISOString()
-    }];
-    console.log(`Processing single file from webhook: ${filesToDownload[0].name}`);
+  } else if (state.data && typeof state.data === 'object' && !Array.isArray(state.data)) {
+    // From webhook trigger - single file, only after the request checks out
+    const webhookConfig = { ...defaultWebhookConfig, ...(state.webhookConfig || {}) };
+    const { errors, file } = validateWebhookRequest(state, webhookConfig);
+    
+    if (errors.length > 0) {
+      console.error('Rejected file-change webhook:', errors);
+      return {
+        ...state,
+        filesToDownload: [],
+        downloadedFiles: [],
+        webhookRejection: {
+          rejectedAt: new Date().toISOString(),
+          errors
+        },
+        error: `Webhook rejected: ${errors.join('; ')}`
+      };
+    }
+    
+    filesToDownload = [file];
+    console.log(`Processing single file from webhook: ${file.path}`);
   } else {
     console.log('No files specified for download');
     return {
@@ -45,44 +277,211 @@ fn((state) => {
   };
 });
 
-// Download each file
-fn((state) => {
-  const downloadPromises = state.filesToDownload.map(async (file, index) => {
-    const localPath = `${LOCAL_DOWNLOAD_PATH}${file.name}`;
-    
-    console.log(`Downloading ${file.name} to ${localPath}`);
-    
+function isTransientError(error) {
+  return TRANSIENT_ERROR_CODES.includes(error.code) || TRANSIENT_ERROR_PATTERN.test(error.message || '');
+}
+
+function backoffDelay(attempt, downloadConfig) {
+  const exponential = downloadConfig.initialBackoffMs * Math.pow(2, attempt - 1);
+  const jitter = Math.random() * downloadConfig.initialBackoffMs;
+  return Math.min(downloadConfig.maxBackoffMs, exponential + jitter);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Compare what landed on disk with the remote listing (size, and SHA-256 when check-sftp-files computed one)
+async function verifyDownload(file, localPath) {
+  const localSize = fs.statSync(localPath).size;
+  if (file.size !== null && file.size !== undefined && localSize !== file.size) {
+    const error = new Error(`Size mismatch for ${file.name}: expected ${file.size} bytes, got ${localSize}`);
+    error.code = 'ERR_INTEGRITY';
+    throw error;
+  }
+
+  const localHash = await sha256File(localPath);
+  if (file.contentHash && localHash !== file.contentHash) {
+    const error = new Error(`Checksum mismatch for ${file.name}: expected ${file.contentHash}, got ${localHash}`);
+    error.code = 'ERR_INTEGRITY';
+    throw error;
+  }
+
+  return { localSize, localHash };
+}
+
+// Run worker over items with at most `limit` in flight
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+// Download one file, retrying transient errors with exponential backoff
+async function downloadWithRetry(state, file, previousAttempts, downloadConfig) {
+  // Keep the SFTP folder layout so same-named files from different folders don't collide
+  const localPath = `${LOCAL_DOWNLOAD_PATH}${(file.key || file.name).replace(/^\/+/, '')}`;
+  let attempts = previousAttempts;
+  
+  // check-sftp-files.js already fetched the file to fingerprint it; reuse that copy when it still matches
+  let reusable = file.localPath === localPath && fs.existsSync(localPath);
+  
+  for (let attempt = 1; attempt <= downloadConfig.maxAttempts; attempt++) {
     try {
-      // Download the file
-      await get(file.path, localPath);
+      let verified = null;
+      if (reusable) {
+        reusable = false;
+        verified = await verifyDownload(file, localPath).catch(error => {
+          console.warn(`Fingerprinted copy of ${file.name} does not match (${error.message}), downloading again`);
+          return null;
+        });
+        if (verified) {
+          console.log(`Using the fingerprinted copy of ${file.name} at ${localPath}`);
+        }
+      }
+      if (!verified) {
+        attempts++;
+        console.log(`Downloading ${file.name} to ${localPath} (attempt ${attempt}/${downloadConfig.maxAttempts}, total ${attempts})`);
+        fs.mkdirSync(path.dirname(localPath), { recursive: true });
+        await get(file.path, localPath)(state);
+        verified = await verifyDownload(file, localPath);
+      }
+      const { localSize, localHash } = verified;
+      
+      // Fetch the upload manifest alongside the workbook, keeping its extension
+      let manifestLocalPath = null;
+      if (file.manifestPath) {
+        manifestLocalPath = `${localPath}${file.manifestPath.substring(file.manifestPath.lastIndexOf('.manifest.'))}`;
+        await get(file.manifestPath, manifestLocalPath)(state);
+      }
       
       return {
         ...file,
         localPath,
+        manifestLocalPath,
+        localSize,
+        contentHash: file.contentHash || localHash,
+        attempts,
         downloadTime: new Date().toISOString(),
         status: 'downloaded'
       };
     } catch (error) {
-      console.error(`Failed to download ${file.name}:`, error);
-      return {
-        ...file,
-        status: 'failed',
-        error: error.message
-      };
+      if (fs.existsSync(localPath)) {
+        fs.unlinkSync(localPath);
+      }
+      
+      const transient = isTransientError(error);
+      if (!transient || attempt === downloadConfig.maxAttempts) {
+        console.error(`Failed to download ${file.name}:`, error);
+        return {
+          ...file,
+          attempts,
+          status: 'failed',
+          transient,
+          error: error.message
+        };
+      }
+      
+      const delay = backoffDelay(attempt, downloadConfig);
+      console.warn(`Transient error downloading ${file.name} (${error.message}), retrying in ${Math.round(delay)}ms`);
+      await sleep(delay);
     }
+  }
+}
+
+// Download each file
+fn(async (state) => {
+  if (state.webhookRejection) {
+    console.log('Webhook was rejected, nothing will be downloaded');
+    return state;
+  }
+  
+  const downloadConfig = { ...defaultDownloadConfig, ...(state.downloadConfig || {}) };
+  const downloadRetries = { ...(state.downloadRetries || {}) };
+  const filesToDownload = state.filesToDownload || [];
+  
+  console.log(`Downloading ${filesToDownload.length} files, ${downloadConfig.concurrency} at a time`);
+  
+  const results = await runWithConcurrency(filesToDownload, downloadConfig.concurrency, file => {
+    const previousAttempts = downloadRetries[file.key || file.name]?.attempts || 0;
+    return downloadWithRetry(state, file, previousAttempts, downloadConfig);
   });
   
-  return Promise.all(downloadPromises).then(results => {
-    const successfulDownloads = results.filter(f => f.status === 'downloaded');
-    const failedDownloads = results.filter(f => f.status === 'failed');
+  const successfulDownloads = results.filter(f => f.status === 'downloaded');
+  const failedDownloads = results.filter(f => f.status === 'failed');
+  
+  // Remember failures (with their attempt and run counts) so a later run can retry them after a backoff,
+  // or give up on them in file tracking after downloadConfig.maxRuns runs
+  const fileTracking = { ...(state.fileTracking || {}) };
+  const abandonedDownloads = [];
+  successfulDownloads.forEach(file => delete downloadRetries[file.key || file.name]);
+  failedDownloads.forEach(file => {
+    const fileKey = file.key || file.name;
+    const runs = (downloadRetries[fileKey]?.runs || 0) + 1;
+    const failedAt = new Date();
     
-    console.log(`Download complete: ${successfulDownloads.length} successful, ${failedDownloads.length} failed`);
+    if (runs >= downloadConfig.maxRuns) {
+      console.error(`Giving up on ${fileKey} after ${runs} runs (${file.attempts} attempts): ${file.error}`);
+      delete downloadRetries[fileKey];
+      fileTracking[fileKey] = {
+        key: fileKey,
+        name: file.name,
+        size: file.size,
+        modifiedTime: file.modifiedTime,
+        path: file.path,
+        routing: file.routing || null,
+        lastChecked: failedAt.toISOString(),
+        status: 'failed',
+        downloadAttempts: file.attempts,
+        downloadRuns: runs,
+        lastError: file.error
+      };
+      abandonedDownloads.push({ key: fileKey, attempts: file.attempts, runs, error: file.error });
+      return;
+    }
     
-    return {
-      ...state,
-      downloadedFiles: successfulDownloads,
-      failedDownloads,
-      downloadCompleted: true
+    const backoffMinutes = Math.min(downloadConfig.maxRunBackoffMinutes, downloadConfig.initialRunBackoffMinutes * Math.pow(2, runs - 1));
+    downloadRetries[fileKey] = {
+      key: fileKey,
+      path: file.path,
+      attempts: file.attempts,
+      runs,
+      transient: file.transient,
+      lastError: file.error,
+      lastAttemptAt: failedAt.toISOString(),
+      nextAttemptAt: new Date(failedAt.getTime() + backoffMinutes * 60000).toISOString()
     };
   });
+  
+  console.log(`Download complete: ${successfulDownloads.length} successful, ${failedDownloads.length} failed` +
+    (abandonedDownloads.length > 0 ? `, ${abandonedDownloads.length} given up` : ''));
+  
+  return {
+    ...state,
+    fileTracking,
+    downloadedFiles: successfulDownloads,
+    failedDownloads,
+    abandonedDownloads,
+    downloadRetries,
+    downloadCompleted: true
+  };
 });
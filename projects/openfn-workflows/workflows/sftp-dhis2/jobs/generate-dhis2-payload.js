@@ -9,7 +9,6 @@ import { fn } from '@openfn/language-common';
 const defaultReportConfig = {
   catAttrCombo: 'HllvX50cXC0', // Default category option combo
   dataSet: 'BfMAe6Itzgt', // HIV indicators dataset
-  period: '202506', // Current period (June 2025)
   orgUnit: 'rXoaHGAXWy9', // Malawi country level
   hivStagesReportMapping: {
     // Core HIV Testing indicators
@@ -33,17 +32,114 @@ const defaultReportConfig = {
     // TB/HIV indicators
     'TB_ART': 'FjjP1Gs6kHf', // TB patients on ART
     'TB_STAT': 'V37YqbqpEhV' // TB status among HIV+
-  }
+  },
+  // DQ sites records: indicator sheet -> data element per metric (value, score, completeness),
+  // e.g. 'TX_CURR': { score: '<uid>', completeness: '<uid>' }. Unmapped metrics are not uploaded.
+  dqSitesMapping: {},
+  // Site name -> orgUnit UID, for DQ and disaggregated query rows without an OrgUnit column
+  siteOrgUnits: {},
+  // Disaggregation label -> categoryOptionCombo UID, e.g. '15-19 F': '<uid>'. Labels are compared after
+  // normalizeDisaggregation, so '15-19 Female' and 'F, 15-19' match too. An indicator key holding its own
+  // table, e.g. 'TX_NEW': { '<15 F': '<uid>' }, wins for that indicator's category combo.
+  // Disaggregated values without a mapped combo are not uploaded.
+  categoryOptionComboMapping: {},
+  // Indicator -> data elements for its target and achievement percentage, e.g.
+  // 'TX_CURR': { target: '<uid>', achievement: '<uid>' }. Without a mapping achievement is only reported.
+  targetMapping: {}
+};
+
+// Default achievement configuration, override with state.achievementConfig
+// Achievement below the threshold (in percent of target) is flagged as underperformance;
+// thresholds holds per-indicator overrides, e.g. { 'TX_CURR': 95 }
+const defaultAchievementConfig = {
+  threshold: 90,
+  thresholds: {}
 };
 
-function generatePayload(processedFiles, reportConfig) {
-  const { catAttrCombo, dataSet, period, orgUnit, hivStagesReportMapping } = reportConfig;
+// Default conflict configuration, override with state.conflictConfig
+// Values for the same dataElement/orgUnit/period/categoryOptionCombo from more than one row, sheet or file
+// are resolved with one of:
+//   'latest_file' - the value from the most recently modified file wins (later sheets and rows within a file)
+//   'sum'         - the values are added up, e.g. for a facility split over several sheets
+//   'max'         - the largest value wins
+//   'reject'      - none of the values is uploaded
+const defaultConflictConfig = {
+  resolution: 'latest_file'
+};
+
+const CONFLICT_RESOLUTIONS = ['latest_file', 'sum', 'max', 'reject'];
+
+const SEX_LABELS = { f: 'f', female: 'f', females: 'f', m: 'm', male: 'm', males: 'm' };
+
+// Canonical form of a disaggregation label: lower case, age bands first, sex last ('Female 15-19' -> '15-19 f')
+function normalizeDisaggregation(label) {
+  const tokens = String(label)
+    .toLowerCase()
+    .replace(/\s*-\s*/g, '-')
+    .split(/[\s,;/|_]+/)
+    .filter(Boolean);
+  const sexTokens = tokens.filter(token => SEX_LABELS[token]).map(token => SEX_LABELS[token]);
+  const otherTokens = tokens.filter(token => !SEX_LABELS[token]);
+  return [...otherTokens, ...sexTokens].join(' ');
+}
+
+// Where a value came from, so duplicates can be resolved and both cells of a conflict reported
+function valueSource(file, record) {
+  return {
+    workbook: file.fileName || file.name,
+    sheet: record.sheet || null,
+    row: record.rowNumber || null,
+    modifiedTime: file.modifiedTime || null,
+    fileIndex: file.fileIndex
+  };
+}
+
+// DHIS2 needs a period on every value. Records that got none from their row, manifest or
+// parsingConfig.defaultPeriod are rejected rather than uploaded under a fixed report period.
+function findRecordsWithoutPeriod(processedFiles) {
+  return processedFiles.flatMap(file => ['indicators', 'queries', 'sites'].flatMap(field =>
+    (file.excelData[field] || [])
+      .filter(record => !record.period)
+      .map(record => ({
+        workbook: file.fileName || file.name,
+        sheet: record.sheet || null,
+        row: record.rowNumber || null,
+        indicator: record.indicator || null,
+        site: record.site || null
+      }))
+  ));
+}
+
+// Look up the categoryOptionCombo for a disaggregation label, preferring the indicator's own table
+function findCategoryOptionCombo(mapping, indicator, label) {
+  const normalized = normalizeDisaggregation(label);
+  const lookup = table => {
+    const match = Object.keys(table).find(key => typeof table[key] === 'string' && normalizeDisaggregation(key) === normalized);
+    return match ? table[match] : null;
+  };
+  const indicatorTable = Object.entries(mapping).find(([key, value]) =>
+    typeof value === 'object' && key.toLowerCase() === String(indicator).toLowerCase()
+  );
+  return (indicatorTable && lookup(indicatorTable[1])) || lookup(mapping);
+}
+
+function generatePayload(processedFiles, reportConfig, achievementConfig) {
+  const { catAttrCombo, dataSet, orgUnit, hivStagesReportMapping } = reportConfig;
   
   console.log('Generating DHIS2 payload from processed Excel files...');
   console.log('Report config:', JSON.stringify(reportConfig, null, 2));
   
-  // Extract indicator values from all processed files
-  const indicatorValues = {};
+  // Extract indicator values from all processed files per period, keyed by lower-cased name so 'Tx_Curr' and
+  // 'TX_CURR' are one indicator; duplicates are kept with their source and resolved across all files by resolveDuplicates
+  const periodValues = {};
+  const valuesFor = period => {
+    // Indicators reported as blank, N/A or suppressed are missing: no value is uploaded rather than a 0
+    periodValues[period] = periodValues[period] || { indicatorValues: {}, missingIndicators: new Set() };
+    return periodValues[period];
+  };
+  const disaggregatedRecords = [];
+  const siteQueryRecords = [];
+  const recordsWithoutPeriod = findRecordsWithoutPeriod(processedFiles);
   let totalRecords = 0;
   
   processedFiles.forEach(file => {
@@ -52,33 +148,56 @@ function generatePayload(processedFiles, reportConfig) {
     // Process HIV indicators
     if (file.excelData.indicators) {
       file.excelData.indicators.forEach(indicator => {
-        const key = indicator.indicator.trim();
-        const value = parseFloat(indicator.value) || 0;
+        totalRecords++;
+        if (!indicator.period) {
+          return;
+        }
         
-        // Use the most recent value if duplicate indicators exist
-        if (!indicatorValues[key] || indicatorValues[key] < value) {
-          indicatorValues[key] = value;
+        // Disaggregated values get their own categoryOptionCombo instead of competing with the total
+        if (indicator.disaggregation) {
+          disaggregatedRecords.push({ ...indicator, orgUnit: orgUnit, source: valueSource(file, indicator) });
+          return;
         }
         
-        totalRecords++;
-        console.log(`Mapped indicator: ${key} = ${value}`);
+        const reportedAs = indicator.indicator.trim();
+        const key = reportedAs.toLowerCase();
+        const { indicatorValues, missingIndicators } = valuesFor(String(indicator.period));
+        if (indicator.value === null || indicator.value === undefined) {
+          missingIndicators.add(key);
+          console.log(`Indicator ${reportedAs} has no value for ${indicator.period} (${indicator.valueStatus || 'missing'})`);
+          return;
+        }
+        const value = parseFloat(indicator.value);
+        
+        indicatorValues[key] = indicatorValues[key] || [];
+        indicatorValues[key].push({ value, reportedAs, source: valueSource(file, indicator) });
+        
+        console.log(`Mapped indicator: ${reportedAs} = ${value} (${indicator.period})`);
       });
     }
     
     // Process direct queries
     if (file.excelData.queries) {
       file.excelData.queries.forEach(query => {
-        const key = `${query.site}_${query.indicator}`.trim();
-        const value = parseFloat(query.value) || 0;
-        
-        indicatorValues[key] = value;
         totalRecords++;
-        console.log(`Mapped query: ${key} = ${value}`);
+        if (!query.period) {
+          return;
+        }
+        
+        // Query rows are per site, so totals and disaggregated values go to the site's own orgUnit
+        // rather than through indicator matching into the national orgUnit
+        const siteOrgUnits = reportConfig.siteOrgUnits || {};
+        const siteRecord = { ...query, orgUnit: siteOrgUnits[query.site] || null, source: valueSource(file, query) };
+        (query.disaggregation ? disaggregatedRecords : siteQueryRecords).push(siteRecord);
       });
     }
   });
   
-  console.log(`Extracted ${Object.keys(indicatorValues).length} unique indicators from ${totalRecords} total records`);
+  const uniqueIndicators = new Set(Object.values(periodValues).flatMap(({ indicatorValues }) => Object.keys(indicatorValues))).size;
+  console.log(`Extracted ${uniqueIndicators} unique indicators for ${Object.keys(periodValues).length} period(s) from ${totalRecords} total records`);
+  if (recordsWithoutPeriod.length > 0) {
+    console.warn(`Rejected ${recordsWithoutPeriod.length} record(s) without a period`, recordsWithoutPeriod.slice(0, 5));
+  }
   
   // Generate DHIS2 dataValues array with matching
   const dataValues = [];
@@ -86,100 +205,405 @@ function generatePayload(processedFiles, reportConfig) {
     exactMatches: 0,
     partialMatches: 0,
     noMatches: 0,
-    defaultValues: 0
+    defaultValues: 0,
+    missingValues: 0
   };
   
-  Object.entries(hivStagesReportMapping).forEach(([indicatorKey, dhis2DataElement]) => {
-    let value = undefined;
-    let matchType = 'none';
-    
-    // Strategy 1: Exact match
-    if (indicatorValues.hasOwnProperty(indicatorKey)) {
-      value = indicatorValues[indicatorKey];
-      matchType = 'exact';
-      matchingStats.exactMatches++;
-    }
-    
-    // Strategy 2: Case-insensitive exact match
-    if (value === undefined) {
-      const exactMatch = Object.keys(indicatorValues).find(key => 
-        key.toLowerCase() === indicatorKey.toLowerCase()
-      );
-      if (exactMatch) {
-        value = indicatorValues[exactMatch];
-        matchType = 'exact_case_insensitive';
+  // Reported names that exactly match a mapped indicator belong to that indicator only, so they are never
+  // partial or fuzzy matches for another one (HTS_TST_POS for HTS_TST, TX_CURR for TX_NEW)
+  const mappedIndicators = new Set(Object.keys(hivStagesReportMapping).map(key => key.toLowerCase()));
+  
+  // Each period is matched on its own, so every value is uploaded under the period its row reported
+  Object.keys(periodValues).sort().forEach(period => {
+    const { indicatorValues, missingIndicators } = periodValues[period];
+    const unmatchedKeys = Object.keys(indicatorValues).filter(key => !mappedIndicators.has(key));
+    
+    Object.entries(hivStagesReportMapping).forEach(([indicatorKey, dhis2DataElement]) => {
+      // Every reported value for the matched indicator, one per source row; all of them go to resolveDuplicates
+      let candidates = undefined;
+      let matchType = 'none';
+      const describe = values => values.map(candidate => `${candidate.reportedAs} = ${candidate.value}`).join(', ');
+      const valuesOf = keys => keys.flatMap(key => indicatorValues[key]);
+      
+      // Strategy 1: Exact match, ignoring case; each value keeps whether its own spelling matched exactly
+      if (indicatorValues.hasOwnProperty(indicatorKey.toLowerCase())) {
+        candidates = indicatorValues[indicatorKey.toLowerCase()];
+        matchType = 'exact';
         matchingStats.exactMatches++;
       }
-    }
-    
-    // Strategy 3: Partial matching (contains)
-    if (value === undefined) {
-      const partialMatch = Object.keys(indicatorValues).find(key => 
-        key.toLowerCase().includes(indicatorKey.toLowerCase()) ||
-        indicatorKey.toLowerCase().includes(key.toLowerCase())
-      );
-      if (partialMatch) {
-        value = indicatorValues[partialMatch];
-        matchType = 'partial';
-        matchingStats.partialMatches++;
-        console.log(`Partial match found: "${indicatorKey}" -> "${partialMatch}" = ${value}`);
+      
+      // Reported but missing, suppressed or excluded by a data quality rule: leave the value out of the
+      // upload rather than filling it in from another indicator
+      if (candidates === undefined && missingIndicators.has(indicatorKey.toLowerCase())) {
+        matchingStats.missingValues++;
+        console.warn(`Indicator ${indicatorKey} was reported without a value for ${period}, not uploading it`);
+        return;
       }
-    }
-    
-    // Strategy 4: Fuzzy matching for common indicator patterns
-    if (value === undefined) {
-      const fuzzyMatch = findFuzzyMatch(indicatorKey, Object.keys(indicatorValues));
-      if (fuzzyMatch) {
-        value = indicatorValues[fuzzyMatch];
-        matchType = 'fuzzy';
-        matchingStats.partialMatches++;
-        console.log(`Fuzzy match found: "${indicatorKey}" -> "${fuzzyMatch}" = ${value}`);
+      
+      // Strategy 2: Partial matching (contains)
+      if (candidates === undefined) {
+        const partialMatches = unmatchedKeys.filter(key => 
+          key.includes(indicatorKey.toLowerCase()) ||
+          indicatorKey.toLowerCase().includes(key)
+        );
+        if (partialMatches.length > 0) {
+          candidates = valuesOf(partialMatches);
+          matchType = 'partial';
+          matchingStats.partialMatches++;
+          console.log(`Partial match found: "${indicatorKey}" -> ${describe(candidates)}`);
+        }
       }
-    }
-    
-    // Default to 0 if no value found
-    if (value === undefined) {
-      value = 0;
-      matchType = 'default';
-      matchingStats.noMatches++;
-      console.warn(`No data found for indicator: ${indicatorKey}, defaulting to 0`);
-    }
-    
-    dataValues.push({
-      dataElement: dhis2DataElement,
-      period: period,
-      orgUnit: orgUnit,
-      categoryOptionCombo: catAttrCombo,
-      attributeOptionCombo: catAttrCombo,
-      value: value,
-      matchType: matchType,
-      originalIndicator: indicatorKey
+      
+      // Strategy 3: Fuzzy matching for common indicator patterns
+      if (candidates === undefined) {
+        const fuzzyMatches = findFuzzyMatches(indicatorKey, unmatchedKeys);
+        if (fuzzyMatches.length > 0) {
+          candidates = valuesOf(fuzzyMatches);
+          matchType = 'fuzzy';
+          matchingStats.partialMatches++;
+          console.log(`Fuzzy match found: "${indicatorKey}" -> ${describe(candidates)}`);
+        }
+      }
+      
+      // Not reported at all: nothing is uploaded rather than a 0
+      if (candidates === undefined) {
+        matchingStats.noMatches++;
+        console.warn(`No data found for indicator ${indicatorKey} in ${period}, not uploading it`);
+        return;
+      }
+      
+      candidates.forEach(({ value, reportedAs, source }) => {
+        dataValues.push({
+          dataElement: dhis2DataElement,
+          period: period,
+          orgUnit: orgUnit,
+          categoryOptionCombo: catAttrCombo,
+          attributeOptionCombo: catAttrCombo,
+          value: value,
+          matchType: matchType === 'exact' && reportedAs !== indicatorKey ? 'exact_case_insensitive' : matchType,
+          originalIndicator: indicatorKey,
+          source
+        });
+      });
     });
+    
   });
   
   console.log('Data matching statistics:', matchingStats);
   
+  const siteQueries = generateSiteQueryValues(siteQueryRecords, reportConfig);
+  dataValues.push(...siteQueries.dataValues);
+  
+  const disaggregated = generateDisaggregatedValues(disaggregatedRecords, reportConfig);
+  dataValues.push(...disaggregated.dataValues);
+  
+  // DQ site records are site-level, so they carry their own orgUnit instead of going through indicator matching
+  const dqSites = generateDQSiteValues(processedFiles, reportConfig);
+  dataValues.push(...dqSites.dataValues);
+  
+  const targets = generateTargetAchievement(processedFiles, reportConfig, achievementConfig);
+  dataValues.push(...targets.dataValues);
+  
+  // Each value keeps the dataSet its files were routed to, so completeness is checked per dataSet
+  dataValues.forEach(dataValue => {
+    dataValue.dataSet = dataSet;
+  });
+  
+  // Values carry their own period; the top-level period is only set when they all share it
+  const periods = [...new Set(dataValues.map(dataValue => dataValue.period))];
+  
   const payload = {
     dataSet: dataSet,
-    period: period,
+    period: periods.length === 1 ? periods[0] : undefined,
     orgUnit: orgUnit,
     dataValues: dataValues,
     dataSource: 'SFTP Excel',
     generatedAt: new Date().toISOString(),
     matchingStats: matchingStats,
-    totalRecords: totalRecords,
-    uniqueIndicators: Object.keys(indicatorValues).length
+    siteQueryStats: siteQueries.stats,
+    disaggregationStats: disaggregated.stats,
+    dqSiteStats: dqSites.stats,
+    targetStats: targets.stats,
+    achievements: targets.achievements,
+    recordsWithoutPeriod,
+    totalRecords: totalRecords + dqSites.stats.records,
+    uniqueIndicators
   };
   
   console.log(`Generated DHIS2 payload with ${dataValues.length} data values`);
   return payload;
 }
 
-// Enhanced fuzzy matching for indicator names
-function findFuzzyMatch(target, candidates) {
+// Turn direct query totals into data values for their site's orgUnit. Indicators are only matched by name
+// ignoring case; missing values and unmapped indicators or sites are not uploaded.
+function generateSiteQueryValues(records, reportConfig) {
+  const { catAttrCombo, hivStagesReportMapping } = reportConfig;
+  const dataValues = [];
+  const unmappedIndicators = new Set();
+  const unmappedSites = new Set();
+  let missingValues = 0;
+  
+  records.forEach(record => {
+    if (record.value === null || record.value === undefined) {
+      missingValues++;
+      return;
+    }
+    const reportedAs = String(record.indicator).trim();
+    const indicatorKey = Object.keys(hivStagesReportMapping).find(key => key.toLowerCase() === reportedAs.toLowerCase());
+    if (!indicatorKey) {
+      unmappedIndicators.add(record.indicator);
+      return;
+    }
+    
+    if (!record.orgUnit) {
+      unmappedSites.add(record.site);
+      return;
+    }
+    
+    dataValues.push({
+      dataElement: hivStagesReportMapping[indicatorKey],
+      period: String(record.period),
+      orgUnit: record.orgUnit,
+      categoryOptionCombo: catAttrCombo,
+      attributeOptionCombo: catAttrCombo,
+      value: parseFloat(record.value),
+      matchType: reportedAs === indicatorKey ? 'exact' : 'exact_case_insensitive',
+      originalIndicator: indicatorKey,
+      source: record.source
+    });
+  });
+  
+  const stats = {
+    records: records.length,
+    dataValues: dataValues.length,
+    missingValues,
+    unmappedIndicators: [...unmappedIndicators],
+    unmappedSites: [...unmappedSites]
+  };
+  if (records.length > 0) {
+    console.log('Site query statistics:', stats);
+  }
+  
+  return { dataValues, stats };
+}
+
+// Turn disaggregated records into data values with the categoryOptionCombo mapped from their label
+function generateDisaggregatedValues(records, reportConfig) {
+  const { catAttrCombo, hivStagesReportMapping } = reportConfig;
+  const mapping = reportConfig.categoryOptionComboMapping || {};
+  const dataValues = [];
+  const unmappedLabels = new Set();
+  const unmappedIndicators = new Set();
+  const unmappedSites = new Set();
+  
+  records.forEach(record => {
+    if (record.value === null || record.value === undefined) {
+      return;
+    }
+    const indicatorKey = Object.keys(hivStagesReportMapping).find(key => key.toLowerCase() === String(record.indicator).trim().toLowerCase());
+    if (!indicatorKey) {
+      unmappedIndicators.add(record.indicator);
+      return;
+    }
+    
+    const categoryOptionCombo = findCategoryOptionCombo(mapping, indicatorKey, record.disaggregation);
+    if (!categoryOptionCombo) {
+      unmappedLabels.add(record.disaggregation);
+      return;
+    }
+    
+    if (!record.orgUnit) {
+      unmappedSites.add(record.site);
+      return;
+    }
+    
+    dataValues.push({
+      dataElement: hivStagesReportMapping[indicatorKey],
+      period: String(record.period),
+      orgUnit: record.orgUnit,
+      categoryOptionCombo: categoryOptionCombo,
+      attributeOptionCombo: catAttrCombo,
+      value: parseFloat(record.value),
+      matchType: 'disaggregated',
+      originalIndicator: indicatorKey,
+      disaggregation: record.disaggregation,
+      source: record.source
+    });
+  });
+  
+  const stats = {
+    records: records.length,
+    dataValues: dataValues.length,
+    unmappedLabels: [...unmappedLabels],
+    unmappedIndicators: [...unmappedIndicators],
+    unmappedSites: [...unmappedSites]
+  };
+  if (records.length > 0) {
+    console.log('Disaggregation statistics:', stats);
+  }
+  
+  return { dataValues, stats };
+}
+
+// Work out achievement against the target column per indicator, site and period. Total rows are used when
+// a row carries a target, else the disaggregated rows are summed. Mapped targets and achievements are
+// emitted as data values of their own through reportConfig.targetMapping.
+function generateTargetAchievement(processedFiles, reportConfig, achievementConfig) {
+  const { catAttrCombo, orgUnit } = reportConfig;
+  const targetMapping = reportConfig.targetMapping || {};
+  const siteOrgUnits = reportConfig.siteOrgUnits || {};
+  const groups = {};
+  
+  processedFiles.forEach(file => {
+    const records = [
+      ...(file.excelData.indicators || []).map(record => ({ ...record, site: null, orgUnit: orgUnit })),
+      ...(file.excelData.queries || []).map(record => ({ ...record, orgUnit: siteOrgUnits[record.site] || null }))
+    ];
+    records.forEach(record => {
+      if (record.target === null || record.target === undefined || record.value === null || record.value === undefined || !record.period) {
+        return;
+      }
+      const indicator = String(record.indicator).trim();
+      const recordPeriod = String(record.period);
+      const groupKey = `${record.site || record.orgUnit}|${indicator.toLowerCase()}|${recordPeriod}`;
+      if (!groups[groupKey]) {
+        groups[groupKey] = { indicator, site: record.site, orgUnit: record.orgUnit, period: recordPeriod, totals: [], disaggregated: [] };
+      }
+      groups[groupKey][record.disaggregation ? 'disaggregated' : 'totals'].push({ ...record, source: valueSource(file, record) });
+    });
+  });
+  
+  const achievements = [];
+  const dataValues = [];
+  const unmappedSites = new Set();
+  
+  Object.values(groups).forEach(group => {
+    const records = group.totals.length > 0 ? group.totals : group.disaggregated;
+    const value = records.reduce((sum, record) => sum + parseFloat(record.value), 0);
+    const target = records.reduce((sum, record) => sum + parseFloat(record.target), 0);
+    const thresholdKey = Object.keys(achievementConfig.thresholds || {}).find(key => key.toLowerCase() === group.indicator.toLowerCase());
+    const threshold = thresholdKey ? achievementConfig.thresholds[thresholdKey] : achievementConfig.threshold;
+    // A zero target has no meaningful percentage
+    const achievement = target > 0 ? Math.round((value / target) * 1000) / 10 : null;
+    
+    achievements.push({
+      indicator: group.indicator,
+      site: group.site,
+      orgUnit: group.orgUnit,
+      period: group.period,
+      value,
+      target,
+      achievement,
+      threshold,
+      underperforming: achievement !== null && achievement < threshold
+    });
+    
+    const mappingKey = Object.keys(targetMapping).find(key => key.toLowerCase() === group.indicator.toLowerCase());
+    if (!mappingKey) {
+      return;
+    }
+    if (!group.orgUnit) {
+      unmappedSites.add(group.site);
+      return;
+    }
+    [['target', target], ['achievement', achievement]].forEach(([metric, metricValue]) => {
+      if (!targetMapping[mappingKey][metric] || metricValue === null) {
+        return;
+      }
+      dataValues.push({
+        dataElement: targetMapping[mappingKey][metric],
+        period: group.period,
+        orgUnit: group.orgUnit,
+        categoryOptionCombo: catAttrCombo,
+        attributeOptionCombo: catAttrCombo,
+        value: metricValue,
+        matchType: metric,
+        originalIndicator: `${mappingKey} ${metric}`,
+        source: records[0].source
+      });
+    });
+  });
+  
+  const stats = {
+    withTargets: achievements.length,
+    underperforming: achievements.filter(entry => entry.underperforming).length,
+    dataValues: dataValues.length,
+    unmappedSites: [...unmappedSites]
+  };
+  if (achievements.length > 0) {
+    console.log('Target achievement statistics:', stats);
+  }
+  
+  return { achievements, dataValues, stats };
+}
+
+// Turn DQ sites records into per-site data values using reportConfig.dqSitesMapping
+function generateDQSiteValues(processedFiles, reportConfig) {
+  const { catAttrCombo } = reportConfig;
+  const dqSitesMapping = reportConfig.dqSitesMapping || {};
+  const siteOrgUnits = reportConfig.siteOrgUnits || {};
+  const dataValues = [];
+  const unmappedIndicators = new Set();
+  const unmappedSites = new Set();
+  let records = 0;
+  
+  processedFiles.forEach(file => {
+    (file.excelData.sites || []).forEach(record => {
+      records++;
+      if (!record.period) {
+        return;
+      }
+      const metrics = dqSitesMapping[record.indicator] || dqSitesMapping[record.indicatorContext];
+      if (!metrics) {
+        unmappedIndicators.add(record.indicator);
+        return;
+      }
+      
+      const orgUnit = record.orgUnit || siteOrgUnits[record.site];
+      if (!orgUnit) {
+        unmappedSites.add(record.site);
+        return;
+      }
+      
+      ['value', 'score', 'completeness'].forEach(metric => {
+        if (!metrics[metric] || record[metric] === null || record[metric] === undefined) {
+          return;
+        }
+        dataValues.push({
+          dataElement: metrics[metric],
+          period: String(record.period),
+          orgUnit: orgUnit,
+          categoryOptionCombo: catAttrCombo,
+          attributeOptionCombo: catAttrCombo,
+          value: record[metric],
+          matchType: 'dq_site',
+          recordType: 'dq_sites',
+          originalIndicator: record.indicator,
+          metric,
+          source: valueSource(file, record)
+        });
+      });
+    });
+  });
+  
+  const stats = {
+    records,
+    dataValues: dataValues.length,
+    unmappedIndicators: [...unmappedIndicators],
+    unmappedSites: [...unmappedSites]
+  };
+  if (records > 0) {
+    console.log('DQ sites statistics:', stats);
+  }
+  
+  return { dataValues, stats };
+}
+
+// Enhanced fuzzy matching for indicator names; returns every candidate sharing the best score
+function findFuzzyMatches(target, candidates) {
   const targetWords = target.toLowerCase().split(/[\s\-_]+/);
   
-  let bestMatch = null;
+  let bestMatches = [];
   let bestScore = 0;
   
   candidates.forEach(candidate => {
@@ -200,13 +624,163 @@ function findFuzzyMatch(target, candidates) {
     // Normalize score by length
     const normalizedScore = score / Math.max(targetWords.length, candidateWords.length);
     
-    if (normalizedScore > bestScore && normalizedScore > 0.5) { // Threshold for fuzzy matching
+    if (normalizedScore <= 0.5) { // Threshold for fuzzy matching
+      return;
+    }
+    if (normalizedScore > bestScore) {
       bestScore = normalizedScore;
-      bestMatch = candidate;
+      bestMatches = [candidate];
+    } else if (normalizedScore === bestScore) {
+      bestMatches.push(candidate);
     }
   });
   
-  return bestMatch;
+  return bestMatches;
+}
+
+// Group files by the dataSet/orgUnit they report for.
+// An upload manifest wins over the SFTP folder routing, which wins over the report config.
+// Periods come from each record, which process-excel-data.js already filled from the manifest.
+function groupFilesByRouting(processedFiles, reportConfig) {
+  const groups = {};
+  
+  processedFiles.forEach(file => {
+    const routing = file.routing || {};
+    const manifest = file.manifest || {};
+    const dataSet = manifest.dataSet || routing.dataSet || reportConfig.dataSet;
+    const orgUnit = manifest.orgUnit || routing.orgUnit || reportConfig.orgUnit;
+    const groupKey = `${dataSet}|${orgUnit}`;
+    
+    if (!groups[groupKey]) {
+      groups[groupKey] = {
+        reportConfig: { ...reportConfig, dataSet, orgUnit },
+        files: []
+      };
+    }
+    groups[groupKey].files.push(file);
+  });
+  
+  return Object.values(groups);
+}
+
+// Order in which 'latest_file' resolution ranks sources: file modification time, then processing order,
+// then row. Values without a source rank first.
+function compareSources(a, b) {
+  if (!a || !b) {
+    return a ? 1 : b ? -1 : 0;
+  }
+  const time = source => (source.modifiedTime ? new Date(source.modifiedTime).getTime() : 0);
+  return time(a) - time(b) || a.fileIndex - b.fileIndex || (a.row || 0) - (b.row || 0);
+}
+
+// Find values for the same dataElement/orgUnit/period/categoryOptionCombo across all files and sheets
+// and resolve them with the configured resolution. Returns the data values without their sources,
+// and one conflict per duplicated value listing every source location.
+function resolveDuplicates(dataValues, resolution) {
+  const groups = {};
+  dataValues.forEach(dataValue => {
+    const key = `${dataValue.dataElement}|${dataValue.orgUnit}|${dataValue.period}|${dataValue.categoryOptionCombo}`;
+    groups[key] = groups[key] || [];
+    groups[key].push(dataValue);
+  });
+  
+  const resolved = [];
+  const conflicts = [];
+  const withoutSource = ({ source, ...dataValue }) => dataValue;
+  
+  Object.values(groups).forEach(candidates => {
+    if (candidates.length === 1) {
+      resolved.push(withoutSource(candidates[0]));
+      return;
+    }
+    
+    const values = candidates.map(dataValue => parseFloat(dataValue.value));
+    let winner = null;
+    if (resolution === 'latest_file') {
+      winner = [...candidates].sort((a, b) => compareSources(a.source, b.source)).pop();
+    } else if (resolution === 'max') {
+      winner = candidates[values.indexOf(Math.max(...values))];
+    } else if (resolution === 'sum') {
+      winner = { ...candidates[0], value: values.reduce((sum, value) => sum + value, 0) };
+    }
+    if (winner) {
+      resolved.push(withoutSource(winner));
+    }
+    
+    const first = candidates[0];
+    conflicts.push({
+      dataElement: first.dataElement,
+      orgUnit: first.orgUnit,
+      period: first.period,
+      categoryOptionCombo: first.categoryOptionCombo,
+      indicator: first.originalIndicator,
+      disaggregation: first.disaggregation || null,
+      resolution,
+      resolvedValue: winner ? winner.value : null,
+      sources: candidates.map(dataValue => {
+        const { fileIndex, ...source } = dataValue.source || {};
+        return { ...source, value: dataValue.value };
+      })
+    });
+  });
+  
+  return { dataValues: resolved, conflicts };
+}
+
+// Combine per-routing payloads into one dataValueSets payload
+function mergePayloads(payloads) {
+  if (payloads.length === 1) {
+    return payloads[0];
+  }
+  
+  const uniform = field => new Set(payloads.map(p => p[field])).size === 1 ? payloads[0][field] : undefined;
+  const matchingStats = { exactMatches: 0, partialMatches: 0, noMatches: 0, defaultValues: 0, missingValues: 0 };
+  payloads.forEach(p => {
+    Object.keys(matchingStats).forEach(stat => {
+      matchingStats[stat] += p.matchingStats[stat] || 0;
+    });
+  });
+  
+  // dataValues carry their own orgUnit, so top-level fields are only set when shared
+  return {
+    dataSet: uniform('dataSet'),
+    period: uniform('period'),
+    orgUnit: uniform('orgUnit'),
+    dataValues: payloads.flatMap(p => p.dataValues),
+    dataSource: 'SFTP Excel',
+    generatedAt: new Date().toISOString(),
+    matchingStats,
+    siteQueryStats: {
+      records: payloads.reduce((sum, p) => sum + p.siteQueryStats.records, 0),
+      dataValues: payloads.reduce((sum, p) => sum + p.siteQueryStats.dataValues, 0),
+      missingValues: payloads.reduce((sum, p) => sum + p.siteQueryStats.missingValues, 0),
+      unmappedIndicators: [...new Set(payloads.flatMap(p => p.siteQueryStats.unmappedIndicators))],
+      unmappedSites: [...new Set(payloads.flatMap(p => p.siteQueryStats.unmappedSites))]
+    },
+    disaggregationStats: {
+      records: payloads.reduce((sum, p) => sum + p.disaggregationStats.records, 0),
+      dataValues: payloads.reduce((sum, p) => sum + p.disaggregationStats.dataValues, 0),
+      unmappedLabels: [...new Set(payloads.flatMap(p => p.disaggregationStats.unmappedLabels))],
+      unmappedIndicators: [...new Set(payloads.flatMap(p => p.disaggregationStats.unmappedIndicators))],
+      unmappedSites: [...new Set(payloads.flatMap(p => p.disaggregationStats.unmappedSites))]
+    },
+    dqSiteStats: {
+      records: payloads.reduce((sum, p) => sum + p.dqSiteStats.records, 0),
+      dataValues: payloads.reduce((sum, p) => sum + p.dqSiteStats.dataValues, 0),
+      unmappedIndicators: [...new Set(payloads.flatMap(p => p.dqSiteStats.unmappedIndicators))],
+      unmappedSites: [...new Set(payloads.flatMap(p => p.dqSiteStats.unmappedSites))]
+    },
+    targetStats: {
+      withTargets: payloads.reduce((sum, p) => sum + p.targetStats.withTargets, 0),
+      underperforming: payloads.reduce((sum, p) => sum + p.targetStats.underperforming, 0),
+      dataValues: payloads.reduce((sum, p) => sum + p.targetStats.dataValues, 0),
+      unmappedSites: [...new Set(payloads.flatMap(p => p.targetStats.unmappedSites))]
+    },
+    achievements: payloads.flatMap(p => p.achievements),
+    recordsWithoutPeriod: payloads.flatMap(p => p.recordsWithoutPeriod),
+    totalRecords: payloads.reduce((sum, p) => sum + p.totalRecords, 0),
+    uniqueIndicators: payloads.reduce((sum, p) => sum + p.uniqueIndicators, 0)
+  };
 }
 
 // Main processing function
@@ -220,11 +794,42 @@ fn(state => {
   
   // Use default report config or from state
   const reportConfig = state.reportConfig || defaultReportConfig;
+  const achievementConfig = { ...defaultAchievementConfig, ...(state.achievementConfig || {}) };
+  const conflictConfig = { ...defaultConflictConfig, ...(state.conflictConfig || {}) };
+  if (!CONFLICT_RESOLUTIONS.includes(conflictConfig.resolution)) {
+    throw new Error(`Unknown conflict resolution '${conflictConfig.resolution}', expected one of ${CONFLICT_RESOLUTIONS.join(', ')}`);
+  }
   
   console.log(`Processing ${state.processedFiles.length} Excel files for DHIS2 payload generation`);
   
-  // Generate the DHIS2 payload
-  const payload = generatePayload(state.processedFiles, reportConfig);
+  // Generate one payload per folder routing, then merge them
+  // fileIndex keeps the processing order for resolving duplicates across routing groups
+  const routingGroups = groupFilesByRouting(state.processedFiles.map((file, fileIndex) => ({ ...file, fileIndex })), reportConfig);
+  console.log(`Files routed to ${routingGroups.length} dataSet/orgUnit combination(s)`);
+  
+  // Achievements are reported in state rather than sent to DHIS2 with the payload
+  const { achievements, ...merged } = mergePayloads(routingGroups.map(group => generatePayload(group.files, group.reportConfig, achievementConfig)));
+  
+  const { dataValues, conflicts } = resolveDuplicates(merged.dataValues, conflictConfig.resolution);
+  conflicts.forEach(conflict => {
+    const locations = conflict.sources.map(source => `${source.workbook} ${source.sheet || ''} row ${source.row} = ${source.value}`).join(' vs ');
+    console.warn(`Duplicate ${conflict.indicator} for ${conflict.orgUnit} ${conflict.period}: ${locations} -> ` +
+      `${conflict.resolvedValue === null ? 'rejected' : conflict.resolvedValue} (${conflict.resolution})`);
+  });
+  const payload = {
+    ...merged,
+    dataValues,
+    conflictStats: {
+      resolution: conflictConfig.resolution,
+      conflicts: conflicts.length,
+      rejected: conflicts.filter(conflict => conflict.resolvedValue === null).length
+    }
+  };
+  
+  achievements.filter(entry => entry.underperforming).forEach(entry => {
+    console.warn(`Underperforming: ${entry.indicator} at ${entry.site || entry.orgUnit} ${entry.period} ` +
+      `reached ${entry.achievement}% of target ${entry.target} (threshold ${entry.threshold}%)`);
+  });
   
   // Add metadata about the processing
   const enhancedPayload = {
@@ -233,11 +838,17 @@ fn(state => {
       originalDataSource: 'SFTP Excel',
       processedAt: new Date().toISOString(),
       totalDataValues: payload.dataValues?.length || 0,
-      hasValidationWarnings: state.processingErrors?.length > 0,
+      hasValidationWarnings: state.processingErrors?.length > 0 || state.cellErrors?.length > 0 || state.validationSummary?.warning > 0,
       processedFiles: state.processedFiles.map(f => ({
         fileName: f.fileName,
         type: f.excelData.type,
-        recordCount: (f.excelData.indicators?.length || 0) + (f.excelData.queries?.length || 0)
+        routing: f.routing || null,
+        manifest: f.manifest || null,
+        recordCount: (f.excelData.indicators?.length || 0) + (f.excelData.queries?.length || 0) + (f.excelData.sites?.length || 0),
+        sheets: f.excelData.sheetSummaries || null,
+        cellErrors: f.excelData.cellErrors?.length || 0,
+        validation: f.excelData.validation ? { counts: f.excelData.validation.counts, excludedRows: f.excelData.validation.excludedRows } : null,
+        siteMetrics: f.excelData.siteMetrics || null
       }))
     }
   };
@@ -248,6 +859,8 @@ fn(state => {
   return {
     ...state,
     payload: enhancedPayload,
+    achievements,
+    valueConflicts: conflicts,
     dhis2Payload: enhancedPayload, // For compatibility
     payloadGeneratedAt: new Date().toISOString()
   };
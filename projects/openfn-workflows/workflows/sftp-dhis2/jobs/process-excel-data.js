@@ -1,6 +1,7 @@
 /**
  * Process Excel data from downloaded SFTP files
  * This job handles the conversion of Excel data to the format expected by generate-dhis2-payload.js
+ * Supports .xlsx, .xls, .ods and .csv files, and .zip batches containing any of those
  */
 
 import { 
@@ -11,22 +12,1311 @@ import {
 } from '@openfn/language-common';
 
 import * as XLSX from 'xlsx';
+// xlsx has no ESM exports map, so Node loads its CommonJS build, whose namespace lacks XLSX.CFB;
+// the cfb package it uses for zip containers is imported directly instead, and parse_zip is only on its default export
+import CFB from 'cfb';
+import yaml from 'js-yaml';
+import crypto from 'crypto';
 import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
 
-// Data validation schemas
+// Supported formats
+const WORKBOOK_EXTENSIONS = ['.xlsx', '.xls', '.ods', '.csv'];
+const ARCHIVE_EXTENSIONS = ['.zip'];
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+const MANIFEST_SUFFIXES = ['.manifest.json', '.manifest.yaml', '.manifest.yml'];
+
+// Default parsing configuration, override with state.parsingConfig
+const defaultParsingConfig = {
+  headerSearchRows: 10, // rows scanned for the header row below any title rows
+  columnSynonyms: {}, // extra synonyms per field, added to defaultColumnSynonyms
+  unpivot: [], // crosstab sheet rules, see unpivotRuleDefaults
+  defaultPeriod: null, // period for rows without one when there is no manifest, any format normalizePeriod reads
+  templates: [], // inline workbook templates, see templateSchema
+  templateDir: null // folder of .yaml/.yml/.json workbook templates
+};
+
+// Unpivot rules turn crosstab sheets (sites in rows, indicators or age/sex bands in columns) into
+// one record per cell. Rules in parsingConfig.unpivot are matched to sheets by name ('*' matches all):
+//   { sheets: ['TX_NEW'], headerRows: 3, idColumns: 1, indicatorRow: 1, skipColumns: ['Total'] }
+// headerRows     - rows that make up the column header, e.g. TX_NEW / <15 / F; merged cells are filled right
+// idColumns      - leading columns identifying the row, mapped to fields through the column synonyms
+// indicatorRow   - header row (1-based) holding the indicator; 0 uses the sheet name
+// headerRow      - sheet row where the header starts; found like any header row when omitted
+// skipColumns    - value column labels to leave out, e.g. subtotals
+// fileType       - parser to use when the workbook type cannot be detected from content
+const unpivotRuleDefaults = {
+  sheets: ['*'],
+  headerRows: 1,
+  idColumns: 1,
+  indicatorRow: 1,
+  headerRow: null,
+  skipColumns: ['Total'],
+  fileType: 'direct_queries'
+};
+
+// Column synonyms: header text -> record field. Headers are compared after normalizeHeader,
+// so 'Facility Name', 'FACILITY_NAME' and ' facility-name ' all map to site.
+const defaultColumnSynonyms = {
+  site: ['site', 'site name', 'facility', 'facility name', 'health facility', 'clinic', 'hospital', 'hf'],
+  indicator: ['indicator', 'indicator name', 'indicators', 'query', 'measure', 'metric'],
+  value: ['value', 'values', 'count', 'total', 'result', 'number', 'dhis2', 'dhis2 value'],
+  period: ['period', 'reporting period', 'month', 'quarter'],
+  orgUnit: ['orgunit', 'org unit', 'org unit id', 'organisation unit', 'organization unit'],
+  district: ['district'],
+  target: ['target', 'targets'],
+  comment: ['comment', 'comments', 'remarks', 'notes'],
+  dataElement: ['dataelement', 'data element', 'data element uid'],
+  score: ['score', 'concordance', 'concordance score', 'dq score', 'quality score'],
+  completeness: ['completeness', 'complete', 'data completeness', 'completeness rate'],
+  ageGroup: ['age', 'age group', 'age band', 'age range'],
+  sex: ['sex', 'gender'],
+  disaggregation: ['disaggregation', 'disagg', 'category option combo', 'category']
+};
+
+// Record validation schemas, in JSON Schema style. Every parsed record is checked against its type's schema:
+//   required   - fields that must be present and non-empty
+//   properties - per field, one rule or a list of rules using type ('string', 'number', 'null' or a list),
+//                enum, const, pattern, format ('dhis2-period', 'dhis2-uid'), minimum, maximum, minLength, maxLength
+// Each rule has a severity ('error' by default, 'warning' or 'info') and an optional message.
+// Override or add rules per type with state.validationConfig.schemas. The schemas and their checks have no
+// copy in shared/utils: OpenFn runs this job as one standalone file.
 const validationSchemas = {
   hiv_indicators: {
-    requiredColumns: ['indicator', 'value', 'period', 'orgUnit'],
-    optionalColumns: ['target', 'comment', 'dataElement']
+    required: ['indicator', 'orgUnit'],
+    properties: {
+      indicator: { type: 'string', minLength: 1 },
+      value: [
+        { type: ['number', 'null'] },
+        { minimum: 0, message: 'counts cannot be negative' },
+        { maximum: 10000000, severity: 'warning', message: 'unusually large value' }
+      ],
+      valueStatus: [
+        { enum: ['value', 'missing', 'suppressed'] },
+        { const: 'value', severity: 'info', message: 'no value reported (missing or suppressed)' }
+      ],
+      period: [
+        { type: ['string', 'null'], format: 'dhis2-period' },
+        { type: 'string', severity: 'warning', message: 'no period, the report period is used' }
+      ],
+      orgUnit: { type: 'string', minLength: 1 },
+      target: { type: ['number', 'null'], minimum: 0, severity: 'warning' },
+      dataElement: { type: ['string', 'null'], format: 'dhis2-uid', severity: 'warning' }
+    }
   },
   direct_queries: {
-    requiredColumns: ['site', 'indicator', 'value', 'period'],
-    optionalColumns: ['orgUnit', 'target', 'comment']
+    required: ['site', 'indicator'],
+    properties: {
+      site: { type: 'string', minLength: 1 },
+      indicator: { type: 'string', minLength: 1 },
+      value: [
+        { type: ['number', 'null'] },
+        { minimum: 0, message: 'counts cannot be negative' },
+        { maximum: 10000000, severity: 'warning', message: 'unusually large value' }
+      ],
+      valueStatus: [
+        { enum: ['value', 'suppressed'] },
+        { const: 'value', severity: 'info', message: 'suppressed value' }
+      ],
+      period: [
+        { type: ['string', 'null'], format: 'dhis2-period' },
+        { type: 'string', severity: 'warning', message: 'no period, the report period is used' }
+      ],
+      target: { type: ['number', 'null'], minimum: 0, severity: 'warning' }
+    }
+  },
+  dq_sites: {
+    required: ['site', 'indicator'],
+    properties: {
+      site: { type: 'string', minLength: 1 },
+      indicator: { type: 'string', minLength: 1 },
+      value: { type: ['number', 'null'], minimum: 0, message: 'counts cannot be negative' },
+      score: { type: ['number', 'null'], minimum: 0, maximum: 100, severity: 'warning', message: 'should be a percentage between 0 and 100' },
+      completeness: { type: ['number', 'null'], minimum: 0, maximum: 100, severity: 'warning', message: 'should be a percentage between 0 and 100' },
+      period: { type: ['string', 'null'], format: 'dhis2-period' },
+      orgUnit: { type: ['string', 'null'], format: 'dhis2-uid', severity: 'warning' }
+    }
   }
 };
+const VALIDATION_SEVERITIES = ['error', 'warning', 'info'];
+const VALIDATION_ERROR_POLICIES = ['exclude_rows', 'block_upload'];
+
+// Default validation configuration, override with state.validationConfig
+//   errorPolicy 'exclude_rows' - rows with an error are left out, the rest of the file is uploaded
+//   errorPolicy 'block_upload' - any error keeps the whole file from upload; it is quarantined instead
+const defaultValidationConfig = {
+  errorPolicy: 'exclude_rows',
+  schemas: {} // per type: { required, properties } merged over validationSchemas
+};
+
+// Content signatures used to recognise workbook types.
+// sheetNames match tab names; header fields (see defaultColumnSynonyms) are looked for in the first rows of every sheet.
+// conflictingFields lower the confidence when present (e.g. a Site column in an indicator sheet).
+const fileTypeSignatures = {
+  hiv_indicators: {
+    sheetNames: [/hiv.*indicator/i],
+    requiredFields: ['indicator', 'value'],
+    optionalFields: ['period', 'orgUnit', 'dataElement', 'target'],
+    conflictingFields: ['site', 'score']
+  },
+  direct_queries: {
+    sheetNames: [/^COHORT_REPORT$/i, /^TPT_NEW_INITIATIONS$/i, /^TPT_OUTCOMES$/i, /^TX_ML$/i, /^TX_RTT$/i, /^PMTCT_EID$/i],
+    requiredFields: ['site', 'indicator', 'value'],
+    optionalFields: ['period', 'district'],
+    conflictingFields: ['score']
+  },
+  dq_sites: {
+    sheetNames: [/^TX_NEW$/i, /^TX_CURR$/i, /^TX_ML$/i, /^TX_RTT$/i, /^TX_PVLS$/i, /^PMTCT_STAT$/i,
+      /^PMTCT_ART$/i, /^PMTCT_EID$/i, /^TB_STAT$/i, /^TX_TB$/i, /^TPT_NEW$/i],
+    requiredFields: ['site', 'score'],
+    optionalFields: ['completeness', 'value', 'district'],
+    conflictingFields: []
+  }
+};
+const DETECTION_PREVIEW_ROWS = 10;
+// Rows read per sheet for detection previews, leaving room for blank and title rows above the header
+const PREVIEW_SHEET_ROWS = 50;
+const DETECTION_MIN_CONFIDENCE = 0.4;
+
+// Period parsing: DHIS2 ISO periods pass through, other spellings are converted, anything else is rejected
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const DHIS2_PERIOD_TYPES = [
+  { pattern: /^(\d{4})(0[1-9]|1[0-2])$/, type: 'Monthly' },
+  { pattern: /^(\d{4})Q([1-4])$/i, type: 'Quarterly', format: match => `${match[1]}Q${match[2]}` },
+  { pattern: /^(\d{4})S([12])$/i, type: 'SixMonthly', format: match => `${match[1]}S${match[2]}` },
+  { pattern: /^(\d{4})AprilS([12])$/i, type: 'SixMonthlyApril', format: match => `${match[1]}AprilS${match[2]}` },
+  { pattern: /^(\d{4})April$/i, type: 'FinancialApril', format: match => `${match[1]}April` },
+  { pattern: /^(\d{4})July$/i, type: 'FinancialJuly', format: match => `${match[1]}July` },
+  { pattern: /^(\d{4})Oct$/i, type: 'FinancialOct', format: match => `${match[1]}Oct` },
+  { pattern: /^(\d{4})Nov$/i, type: 'FinancialNov', format: match => `${match[1]}Nov` },
+  { pattern: /^(\d{4})$/, type: 'Yearly' }
+];
+// Value cells that mean "no data" or "suppressed for privacy" rather than zero
+const MISSING_VALUE_MARKERS = ['', 'n/a', 'na', '-', '--', 'null', 'none', 'nil'];
+const SUPPRESSION_MARKERS = ['*', 's', 'supp', 'suppressed'];
+
+// Excel date serials accepted as periods: 1990-01-01 to 2099-12-31
+const EXCEL_SERIAL_RANGE = [32874, 73050];
+
+// Upload manifest fields; anything else is rejected
+const manifestSchema = {
+  fileType: { required: true, allowed: Object.keys(validationSchemas) },
+  period: { required: true, parse: value => normalizePeriod(value) },
+  orgUnit: { pattern: /^[a-zA-Z][a-zA-Z0-9]{10}$/ },
+  dataSet: { pattern: /^[a-zA-Z][a-zA-Z0-9]{10}$/ },
+  submitter: { required: true },
+  template: {},
+  notes: {}
+};
+
+// Workbook templates describe a partner report layout, so a new report needs a template rather than a parser.
+// Templates come from parsingConfig.templates and parsingConfig.templateDir; the first one whose match
+// criteria all hold is used (a manifest can also name one):
+//   name: partner-x-monthly
+//   fileType: direct_queries                     # record shape: hiv_indicators, direct_queries or dq_sites
+//   match:
+//     fileName: ['PartnerX_*.xlsx']              # file name globs
+//     sheets: ['Facility Report']                # sheets that must exist
+//     headers: ['Health Centre', 'Result']       # headers found in the first rows of one sheet
+//   sheets: ['Facility Report']                  # sheets to read, defaults to match.sheets, else all sheets
+//   headerRow: 4                                 # sheet row of the header, searched for when omitted
+//   columns: { Health Centre: site, Result: value }  # header -> field, replaces that field's synonyms
+//   unpivot: { headerRows: 2, idColumns: 1 }     # crosstab rule(s), see unpivotRuleDefaults
+//   period: Jun-25                               # for rows without a period; a manifest period wins
+//   orgUnit: abc123DEF45                         # for rows without an orgUnit
+const templateSchema = {
+  name: { required: true, check: value => (typeof value === 'string' && value.trim() !== '' ? null : 'must be a non-empty string') },
+  description: {},
+  fileType: { required: true, allowed: Object.keys(validationSchemas) },
+  match: { check: value => checkKeys(value, ['fileName', 'sheets', 'headers'], checkNames) },
+  sheets: { check: checkNames },
+  headerRow: { check: checkPositiveInteger },
+  columns: {
+    check: value => checkKeys(value, null, field => (Object.keys(defaultColumnSynonyms).includes(field)
+      ? null
+      : `maps to unknown field '${field}', expected one of ${Object.keys(defaultColumnSynonyms).join(', ')}`))
+  },
+  unpivot: {
+    check: value => listOf(value).map(rule => checkKeys(rule, Object.keys(unpivotRuleDefaults), (option, key) => {
+      if (['headerRows', 'idColumns', 'headerRow'].includes(key)) {
+        return checkPositiveInteger(option);
+      }
+      return ['sheets', 'skipColumns'].includes(key) ? checkNames(option) : null;
+    })).find(Boolean) || null
+  },
+  period: { parse: value => normalizePeriod(value) },
+  orgUnit: { pattern: /^[a-zA-Z][a-zA-Z0-9]{10}$/ }
+};
+const TEMPLATE_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+function fileExtension(fileName) {
+  return path.extname(fileName).toLowerCase();
+}
+
+// Detect the text encoding of a CSV buffer: BOM first, then strict UTF-8, else Windows-1252
+function detectEncoding(buffer) {
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+    return { encoding: 'utf-8', bomLength: 3 };
+  }
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+    return { encoding: 'utf-16le', bomLength: 2 };
+  }
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    return { encoding: 'utf-16be', bomLength: 2 };
+  }
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return { encoding: 'utf-8', bomLength: 0 };
+  } catch (error) {
+    // EMR exports from Windows machines are usually ANSI
+    return { encoding: 'windows-1252', bomLength: 0 };
+  }
+}
+
+// Pick the delimiter that splits the first lines into the most consistent column count
+function detectDelimiter(text) {
+  const sampleLines = text.split(/\r?\n/).filter(line => line.trim() !== '').slice(0, 10);
+  let bestDelimiter = ',';
+  let bestScore = 0;
+
+  CSV_DELIMITERS.forEach(delimiter => {
+    const counts = sampleLines.map(line => {
+      // Ignore delimiters inside quoted fields
+      const unquoted = line.replace(/"[^"]*"/g, '');
+      return unquoted.split(delimiter).length - 1;
+    });
+    const consistent = counts.length > 0 && counts.every(count => count === counts[0]);
+    const score = counts[0] > 0 ? counts[0] * (consistent ? 2 : 1) : 0;
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestDelimiter = delimiter;
+    }
+  });
+
+  return bestDelimiter;
+}
+
+// Convert a glob ('**', '*', '?') into an anchored, case-insensitive RegExp
+function globToRegExp(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // '**/' matches zero or more folders, a trailing '**' matches everything
+      if (glob[i + 2] === '/') {
+        pattern += '(?:.*/)?';
+        i += 2;
+      } else {
+        pattern += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`, 'i');
+}
+
+// List the entries of a zip workbook (.xlsx, .ods) in the container shape XLSX.parse_zip reads, inflating
+// an entry only when xlsx asks for its content. XLSX.read unzips every entry up front, so reading one sheet
+// would otherwise hold all of them. Returns null for zip64 files, which are left to XLSX.read.
+function openLazyZip(buffer) {
+  let end = buffer.length - 22;
+  while (end >= 0 && buffer.readUInt32LE(end) !== 0x06054b50) {
+    end--;
+  }
+  const entryCount = end >= 0 ? buffer.readUInt16LE(end + 10) : 0xffff;
+  let offset = end >= 0 ? buffer.readUInt32LE(end + 16) : 0xffffffff;
+  if (entryCount === 0xffff || offset === 0xffffffff) {
+    return null;
+  }
+
+  // xlsx reads each content twice in a row, so the last inflated entry is kept until another one is read
+  let lastInflated = { entry: null, content: null };
+  const container = { FullPaths: [], FileIndex: [] };
+  for (let i = 0; i < entryCount; i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    if (method !== 0 && method !== 8) {
+      throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+    }
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    const entry = {
+      name,
+      type: name.endsWith('/') ? 1 : 2,
+      get content() {
+        if (lastInflated.entry !== entry) {
+          lastInflated = { entry, content: method === 8 ? zlib.inflateRawSync(data) : data };
+        }
+        return lastInflated.content;
+      }
+    };
+    container.FullPaths.push(name);
+    container.FileIndex.push(entry);
+  }
+  return container;
+}
+
+// Open any supported file as a sheet source. Sheets are read one at a time when asked for and only the
+// last one is kept, so a workbook never holds more than one full sheet of cells; detection previews come
+// from a separate read capped at PREVIEW_SHEET_ROWS rows per sheet. Parsed records are still collected
+// for the whole file, since they are passed on in state.
+function openWorkbookSource(filePath, fileName) {
+  const extension = fileExtension(fileName);
+  let readWorkbook;
+  let csvDialect;
+
+  if (extension === '.csv') {
+    const buffer = fs.readFileSync(filePath);
+    const { encoding, bomLength } = detectEncoding(buffer);
+    const text = new TextDecoder(encoding).decode(buffer.subarray(bomLength));
+    const delimiter = detectDelimiter(text);
+    csvDialect = { encoding, delimiter };
+
+    console.log(`CSV detected: encoding ${encoding}, delimiter ${JSON.stringify(delimiter)}`);
+    // raw keeps cell text as-is so values like "1,5" are not guessed into numbers
+    readWorkbook = options => XLSX.read(text, { type: 'string', FS: delimiter, raw: true, dense: true, ...options });
+  } else {
+    // XLSX reads .xlsx, .xls and .ods natively; zip workbooks go through openLazyZip
+    const buffer = fs.readFileSync(filePath);
+    const container = buffer.readUInt32LE(0) === 0x04034b50 ? openLazyZip(buffer) : null;
+    readWorkbook = container
+      ? options => XLSX.default.parse_zip(container, { dense: true, ...options })
+      : options => XLSX.read(buffer, { type: 'buffer', dense: true, ...options });
+  }
+
+  const sheetNames = readWorkbook({ bookSheets: true, sheetRows: 1 }).SheetNames;
+  let currentSheet = null;
+  let previewSheets = null;
+
+  return {
+    sourceFormat: extension.substring(1),
+    ...(csvDialect ? { csvDialect } : {}),
+    sheetNames,
+    getSheet: sheetName => {
+      if (!currentSheet || currentSheet.name !== sheetName) {
+        // Drop the previous sheet before reading the next one
+        currentSheet = null;
+        currentSheet = { name: sheetName, worksheet: readWorkbook({ sheets: [sheetName] }).Sheets[sheetName] };
+      }
+      return currentSheet.worksheet;
+    },
+    getPreviewSheet: sheetName => {
+      if (!previewSheets) {
+        previewSheets = readWorkbook({ sheetRows: PREVIEW_SHEET_ROWS }).Sheets;
+      }
+      return previewSheets[sheetName];
+    }
+  };
+}
+
+// Read a cell from a sparse or dense worksheet
+function cellAt(worksheet, rowIndex, columnIndex) {
+  if (Array.isArray(worksheet)) {
+    return worksheet[rowIndex] ? worksheet[rowIndex][columnIndex] : undefined;
+  }
+  if (worksheet['!data']) {
+    return worksheet['!data'][rowIndex] ? worksheet['!data'][rowIndex][columnIndex] : undefined;
+  }
+  return worksheet[XLSX.utils.encode_cell({ r: rowIndex, c: columnIndex })];
+}
+
+// Iterate the non-blank rows of a worksheet as arrays of cell values
+function* iterateSheetRows(worksheet) {
+  if (!worksheet || !worksheet['!ref']) {
+    return;
+  }
+
+  const range = XLSX.utils.decode_range(worksheet['!ref']);
+  for (let rowIndex = range.s.r; rowIndex <= range.e.r; rowIndex++) {
+    const cells = [];
+    let hasValue = false;
+
+    for (let columnIndex = range.s.c; columnIndex <= range.e.c; columnIndex++) {
+      const cell = cellAt(worksheet, rowIndex, columnIndex);
+      // Error cells keep their text (#DIV/0!, #N/A) so they are not mistaken for numbers
+      const value = cell && cell.t === 'e' ? cell.w || '#ERROR' : cell && cell.v !== undefined ? cell.v : null;
+      if (value !== null && value !== '') {
+        hasValue = true;
+      }
+      cells.push(value);
+    }
+
+    if (hasValue) {
+      yield { rowNumber: rowIndex + 1, firstColumn: range.s.c, cells };
+    }
+  }
+}
+
+// Lower-case a header and strip punctuation and repeated whitespace: ' Facility_Name: ' -> 'facility name'
+function normalizeHeader(header) {
+  return String(header)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Merge state.parsingConfig.columnSynonyms into the defaults, as normalized header -> field.
+// Template columns (header -> field) replace the synonyms of the fields they map.
+function buildSynonymIndex(parsingConfig, templateColumns = {}) {
+  const index = {};
+  const extraSynonyms = parsingConfig.columnSynonyms || {};
+  const templateFields = Object.values(templateColumns);
+  Object.entries(templateColumns).forEach(([header, field]) => {
+    index[normalizeHeader(header)] = field;
+  });
+  [...new Set([...Object.keys(defaultColumnSynonyms), ...Object.keys(extraSynonyms)])].forEach(field => {
+    if (templateFields.includes(field)) {
+      return;
+    }
+    [...(defaultColumnSynonyms[field] || []), ...(extraSynonyms[field] || [])].forEach(synonym => {
+      const normalized = normalizeHeader(synonym);
+      if (!index[normalized]) {
+        index[normalized] = field;
+      }
+    });
+  });
+  return index;
+}
+
+// Map a row of header cells to record fields; the first column for a field wins, the rest are ignored
+function mapHeaderRow(cells, synonymIndex) {
+  const columns = {};
+  const recognized = {};
+  const ignored = [];
+
+  cells.forEach((cell, columnIndex) => {
+    if (cell === null || cell === undefined || String(cell).trim() === '') {
+      return;
+    }
+    const header = String(cell).trim();
+    const field = synonymIndex[normalizeHeader(header)];
+    if (field && !Object.values(columns).includes(field)) {
+      columns[columnIndex] = field;
+      recognized[header] = field;
+    } else {
+      ignored.push(header);
+    }
+  });
+
+  return { columns, recognized, ignored };
+}
+
+// Iterate rows as objects keyed by the header row, like sheet_to_json
+function* iterateSheetRecords(worksheet) {
+  let headers = null;
+
+  for (const { rowNumber, cells } of iterateSheetRows(worksheet)) {
+    if (!headers) {
+      headers = cells.map((header, index) => (header === null ? `__EMPTY_${index}` : String(header)));
+      continue;
+    }
+
+    const record = {};
+    headers.forEach((header, index) => {
+      if (cells[index] !== null && cells[index] !== undefined) {
+        record[header] = cells[index];
+      }
+    });
+    yield { rowNumber, record };
+  }
+}
+
+// Iterate rows as records keyed by field (site, indicator, value, ...) using the column synonyms.
+// The header row is the row with the most recognized headers among the first headerSearchRows rows;
+// rows above it are titles. Without any recognized header the first row is used. A fixed headerRow
+// (sheet row number) skips the search.
+function* iterateMappedRecords(worksheet, synonymIndex, headerSearchRows, headerRow = null) {
+  const leadingRows = [];
+  let headerMapping = null;
+  let columns = null;
+  let fieldColumns = null;
+
+  const toRecord = ({ rowNumber, cells }) => {
+    const record = {};
+    Object.entries(columns).forEach(([columnIndex, field]) => {
+      const value = cells[columnIndex];
+      if (value !== null && value !== undefined && value !== '') {
+        record[field] = value;
+      }
+    });
+    return { rowNumber, headerMapping, fieldColumns, record };
+  };
+
+  // Pick the header row once the search window is full (or the sheet ended), then release the rows below it
+  function* chooseHeaderRow() {
+    let best = headerRow ? Math.max(0, leadingRows.findIndex(row => row.rowNumber >= headerRow)) : 0;
+    let bestMapping = mapHeaderRow(leadingRows[best].cells, synonymIndex);
+    leadingRows.forEach((row, index) => {
+      const mapping = mapHeaderRow(row.cells, synonymIndex);
+      if (!headerRow && Object.keys(mapping.recognized).length > Object.keys(bestMapping.recognized).length) {
+        best = index;
+        bestMapping = mapping;
+      }
+    });
+
+    columns = bestMapping.columns;
+    fieldColumns = {};
+    Object.entries(columns).forEach(([columnIndex, field]) => {
+      fieldColumns[field] = XLSX.utils.encode_col(leadingRows[best].firstColumn + Number(columnIndex));
+    });
+    headerMapping = {
+      headerRow: leadingRows[best].rowNumber,
+      recognized: bestMapping.recognized,
+      ignored: bestMapping.ignored
+    };
+    yield* leadingRows.slice(best + 1).map(toRecord);
+  }
+
+  for (const row of iterateSheetRows(worksheet)) {
+    if (headerMapping) {
+      yield toRecord(row);
+      continue;
+    }
+    leadingRows.push(row);
+    if (headerRow ? row.rowNumber >= headerRow : leadingRows.length === headerSearchRows) {
+      yield* chooseHeaderRow();
+    }
+  }
+
+  if (!headerMapping && leadingRows.length > 0) {
+    yield* chooseHeaderRow();
+  }
+}
+
+// Find the unpivot rule for a sheet, with defaults filled in
+function findUnpivotRule(unpivotRules, sheetName) {
+  const rule = (unpivotRules || []).find(candidate => {
+    const sheets = candidate.sheets || unpivotRuleDefaults.sheets;
+    return sheets.some(name => name === '*' || String(name).toLowerCase() === sheetName.toLowerCase());
+  });
+  return rule ? { ...unpivotRuleDefaults, ...rule } : null;
+}
+
+// Iterate a crosstab sheet as one record per value cell: id columns give site/district/...,
+// the header rows above each value column give its indicator and disaggregation.
+function* iterateUnpivotedRecords(worksheet, rule, synonymIndex, headerSearchRows) {
+  const leadingRows = [];
+  let headerMapping = null;
+  let valueColumns = null;
+  let idFields = null;
+  let idFieldColumns = null;
+
+  // Fix the header block once enough rows are buffered, then release the data rows below it
+  function* readHeaderBlock() {
+    let start = 0;
+    if (rule.headerRow) {
+      start = Math.max(0, leadingRows.findIndex(row => row.rowNumber >= rule.headerRow));
+    } else {
+      let bestCount = -1;
+      leadingRows.forEach((row, index) => {
+        const count = Object.keys(mapHeaderRow(row.cells.slice(0, rule.idColumns), synonymIndex).recognized).length;
+        if (count > bestCount) {
+          bestCount = count;
+          start = index;
+        }
+      });
+    }
+
+    const headerBlock = leadingRows.slice(start, start + rule.headerRows);
+    const width = Math.max(...headerBlock.map(row => row.cells.length));
+    const label = (level, column) => {
+      const value = headerBlock[level].cells[column];
+      return value === null || value === undefined || String(value).trim() === '' ? null : String(value).trim();
+    };
+
+    // Id columns: the first non-empty header cell from the top names the field
+    const idHeaders = [];
+    for (let column = 0; column < rule.idColumns; column++) {
+      const header = headerBlock.map((row, level) => label(level, column)).find(Boolean) || '';
+      idHeaders.push(header);
+    }
+    const idMapping = mapHeaderRow(idHeaders, synonymIndex);
+    idFields = idHeaders.map((header, column) => idMapping.columns[column] || (column === 0 ? 'site' : null));
+    idFieldColumns = {};
+    idFields.forEach((field, column) => {
+      if (field) {
+        idFieldColumns[field] = XLSX.utils.encode_col(headerBlock[0].firstColumn + column);
+      }
+    });
+
+    // Value columns: fill merged group labels to the right until a higher level starts a new group
+    const levels = headerBlock.map(() => []);
+    valueColumns = [];
+    for (let column = rule.idColumns; column < width; column++) {
+      const labels = headerBlock.map((row, level) => {
+        const own = label(level, column);
+        if (own || level === headerBlock.length - 1 || column === rule.idColumns) {
+          levels[level][column] = own;
+          return own;
+        }
+        const newGroupAbove = headerBlock.slice(0, level).some((above, aboveLevel) => label(aboveLevel, column));
+        levels[level][column] = newGroupAbove ? null : levels[level][column - 1];
+        return levels[level][column];
+      });
+
+      const skipped = labels.some(text => text && rule.skipColumns.some(skip => normalizeHeader(skip) === normalizeHeader(text)));
+      if (labels.every(text => !text) || skipped) {
+        continue;
+      }
+
+      const indicator = rule.indicatorRow > 0 ? labels[rule.indicatorRow - 1] : null;
+      const disaggregationParts = labels.filter((text, level) => text && level !== rule.indicatorRow - 1);
+      valueColumns.push({ column, indicator, disaggregationParts });
+    }
+
+    headerMapping = {
+      headerRow: headerBlock[0].rowNumber,
+      recognized: idMapping.recognized,
+      ignored: idMapping.ignored,
+      unpivot: { headerRows: headerBlock.length, idColumns: rule.idColumns, valueColumns: valueColumns.length }
+    };
+
+    for (const row of leadingRows.slice(start + headerBlock.length)) {
+      yield* toRecords(row);
+    }
+  }
+
+  function* toRecords({ rowNumber, firstColumn, cells }) {
+    const ids = {};
+    idFields.forEach((field, column) => {
+      if (field && cells[column] !== null && cells[column] !== undefined && cells[column] !== '') {
+        ids[field] = cells[column];
+      }
+    });
+
+    for (const { column, indicator, disaggregationParts } of valueColumns) {
+      const value = cells[column];
+      if (value === null || value === undefined || value === '') {
+        continue;
+      }
+      const record = {
+        ...ids,
+        value,
+        disaggregation: disaggregationParts.length > 0 ? disaggregationParts.join(' ') : null,
+        disaggregationParts
+      };
+      if (indicator) {
+        record.indicator = indicator;
+      }
+      const valueColumn = XLSX.utils.encode_col(firstColumn + column);
+      yield { rowNumber, column: valueColumn, headerMapping, fieldColumns: { ...idFieldColumns, value: valueColumn }, record };
+    }
+  }
+
+  for (const row of iterateSheetRows(worksheet)) {
+    if (headerMapping) {
+      yield* toRecords(row);
+      continue;
+    }
+    leadingRows.push(row);
+    const headerBlockRead = rule.headerRow
+      ? row.rowNumber >= rule.headerRow + rule.headerRows - 1
+      : leadingRows.length === Math.max(headerSearchRows, rule.headerRows);
+    if (headerBlockRead) {
+      yield* readHeaderBlock();
+    }
+  }
+
+  if (!headerMapping && leadingRows.length > 0) {
+    yield* readHeaderBlock();
+  }
+}
+
+// Iterate a sheet's records keyed by field, unpivoting it first when an unpivot rule matches
+function iterateFieldRecords(source, sheetName, headerOptions) {
+  const worksheet = source.getSheet(sheetName);
+  const rule = findUnpivotRule(headerOptions.unpivotRules, sheetName);
+  if (rule) {
+    return iterateUnpivotedRecords(worksheet, rule, headerOptions.synonymIndex, headerOptions.searchRows);
+  }
+  return iterateMappedRecords(worksheet, headerOptions.synonymIndex, headerOptions.searchRows, headerOptions.headerRow);
+}
+
+// Disaggregation label from age/sex columns and/or unpivoted header labels, e.g. '15-19 F'
+function disaggregationLabel(row) {
+  const parts = [row.ageGroup, row.disaggregation, row.sex].filter(part => part !== undefined && part !== null && String(part).trim() !== '');
+  return parts.length > 0 ? parts.map(part => String(part).trim()).join(' ') : null;
+}
+
+// A rejected or coerced cell for excelData.cellErrors, with its A1 reference.
+// Whole-row problems have no column and reference the row, e.g. '12:12'.
+function cellError(sheetName, rowNumber, column, field, value, reason, action) {
+  return {
+    sheet: sheetName,
+    cell: column ? `${column}${rowNumber}` : `${rowNumber}:${rowNumber}`,
+    row: rowNumber,
+    column: column || null,
+    field: field || null,
+    value: value === undefined ? null : value,
+    reason,
+    action
+  };
+}
+
+// Record a problem with one field of a mapped record in cellErrors
+function recordFieldError(cellErrors, mapped, sheetName, field, reason, action) {
+  const column = (mapped.fieldColumns && mapped.fieldColumns[field]) || null;
+  cellErrors.push(cellError(sheetName, mapped.rowNumber, column, field, mapped.record[field], reason, action));
+}
+
+// Parse a numeric field of a mapped record. Unparseable cells are recorded as rejected when they cost the
+// row (rejectsRow), else as coerced to null; suppressed cells and reformatted numbers ('1,234', '85%') as coerced.
+function readNumericField(mapped, field, sheetName, cellErrors, { parse = parseNumericValue, rejectsRow = false } = {}) {
+  const rawValue = mapped.record[field];
+  const parsed = parse(rawValue);
+  if (parsed.status === 'invalid') {
+    recordFieldError(cellErrors, mapped, sheetName, field, rejectsRow ? parsed.reason : `${parsed.reason}, left blank`,
+      rejectsRow ? 'rejected' : 'coerced');
+  } else if (parsed.status === 'suppressed') {
+    recordFieldError(cellErrors, mapped, sheetName, field, 'suppressed value, kept as null', 'coerced');
+  } else if (parsed.status === 'value' && typeof rawValue === 'string' && !/^[-+]?\d+(\.\d+)?$/.test(rawValue.trim())) {
+    recordFieldError(cellErrors, mapped, sheetName, field, `read '${rawValue}' as ${parsed.value}`, 'coerced');
+  }
+  return parsed;
+}
+
+// Value fields kept on every record: the number (null when missing or suppressed) and why
+function valueFields(parsed) {
+  return {
+    value: parsed.value,
+    valueStatus: parsed.status,
+    ...(parsed.suppressedBelow !== undefined ? { suppressedBelow: parsed.suppressedBelow } : {})
+  };
+}
+
+// Summarise a sheet's header detection and row counts for excelData.sheetSummaries
+function sheetSummary(sheetName, headerMapping, totalRows, validRows) {
+  return {
+    sheetName,
+    headerRow: headerMapping ? headerMapping.headerRow : null,
+    recognizedHeaders: headerMapping ? headerMapping.recognized : {},
+    ignoredHeaders: headerMapping ? headerMapping.ignored : [],
+    unpivot: headerMapping && headerMapping.unpivot ? headerMapping.unpivot : null,
+    totalRows,
+    validRows
+  };
+}
+
+// The first non-blank rows of a sheet, used to recognise its layout
+function previewRows(source, sheetName) {
+  const rows = [];
+  for (const row of iterateSheetRows(source.getPreviewSheet(sheetName))) {
+    rows.push(row);
+    if (rows.length >= DETECTION_PREVIEW_ROWS) {
+      break;
+    }
+  }
+  return rows;
+}
+
+// Pick the signature fields a header row provides, as field -> header
+function matchFields(fieldHeaders, fields) {
+  const matched = {};
+  fields.forEach(field => {
+    if (fieldHeaders[field]) {
+      matched[field] = fieldHeaders[field];
+    }
+  });
+  return matched;
+}
+
+// Score a workbook against every fileTypeSignature using sheet names and header rows.
+// Returns the best type (or 'unknown' below DETECTION_MIN_CONFIDENCE) with per-type confidence and evidence.
+function detectFileType(source, synonymIndex) {
+  const previews = source.sheetNames.map(sheetName => ({ sheetName, rows: previewRows(source, sheetName) }));
+
+  const scores = {};
+  const evidence = {};
+
+  Object.entries(fileTypeSignatures).forEach(([type, signature]) => {
+    const typeEvidence = [];
+
+    // Sheet names: share of the signature's expected tabs that are present
+    const matchedSheetPatterns = signature.sheetNames.filter(pattern => {
+      const sheet = source.sheetNames.find(sheetName => pattern.test(sheetName));
+      if (sheet) {
+        typeEvidence.push({ kind: 'sheetName', sheet });
+      }
+      return Boolean(sheet);
+    });
+    const sheetScore = matchedSheetPatterns.length / signature.sheetNames.length;
+
+    // Header rows: best row of any sheet, required headers weigh 80%, optional 20%;
+    // a missing required header or a conflicting header halves the row's score
+    let headerScore = 0;
+    let bestHeaders = null;
+    previews.forEach(({ sheetName, rows }) => {
+      rows.forEach(({ rowNumber, cells }) => {
+        const fieldHeaders = {};
+        Object.entries(mapHeaderRow(cells, synonymIndex).recognized).forEach(([header, field]) => {
+          fieldHeaders[field] = header;
+        });
+        const required = matchFields(fieldHeaders, signature.requiredFields);
+        const optional = matchFields(fieldHeaders, signature.optionalFields);
+        const conflicting = matchFields(fieldHeaders, signature.conflictingFields);
+        const optionalCount = signature.optionalFields.length;
+        let score = 0.8 * Object.keys(required).length / signature.requiredFields.length +
+          (optionalCount > 0 ? 0.2 * Object.keys(optional).length / optionalCount : 0.2);
+        if (Object.keys(required).length < signature.requiredFields.length) {
+          score *= 0.5;
+        }
+        if (Object.keys(conflicting).length > 0) {
+          score *= 0.5;
+        }
+        if (score > headerScore) {
+          headerScore = score;
+          bestHeaders = { sheet: sheetName, row: rowNumber, required, optional, conflicting };
+        }
+      });
+    });
+
+    if (bestHeaders) {
+      Object.entries({ ...bestHeaders.required, ...bestHeaders.optional }).forEach(([field, header]) => {
+        typeEvidence.push({ kind: 'header', sheet: bestHeaders.sheet, row: bestHeaders.row, field, header });
+      });
+      Object.entries(bestHeaders.conflicting).forEach(([field, header]) => {
+        typeEvidence.push({ kind: 'conflictingHeader', sheet: bestHeaders.sheet, row: bestHeaders.row, field, header });
+      });
+    }
+
+    scores[type] = Math.round((0.35 * sheetScore + 0.65 * headerScore) * 100) / 100;
+    evidence[type] = typeEvidence;
+  });
+
+  const [bestType, bestScore] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+  const type = bestScore >= DETECTION_MIN_CONFIDENCE ? bestType : 'unknown';
+
+  return {
+    type,
+    confidence: bestScore,
+    scores,
+    evidence: type === 'unknown' ? [] : evidence[type],
+    method: 'content'
+  };
+}
+
+// Two-digit years are 20xx
+function fullYear(year) {
+  return year.length === 2 ? 2000 + parseInt(year, 10) : parseInt(year, 10);
+}
+
+function monthlyPeriod(year, month) {
+  return { period: `${year}${String(month).padStart(2, '0')}`, type: 'Monthly' };
+}
+
+// The only normalizePeriod: OpenFn runs each job as one standalone file, so it lives here rather than in
+// shared/utils, which only checks that a period already is a DHIS2 ISO period (isDhis2Period).
+// Convert a period cell to a DHIS2 ISO period. Returns { period, type } or { error } - values that
+// could mean more than one period (e.g. 06/07/2025) are rejected rather than guessed.
+//   202506, 2025-06, 2025-06-15, Jun-25, June 2025, Excel date serials -> 202506 (Monthly)
+//   2025Q1, 2025 Q1, Q1 2025                                          -> 2025Q1 (Quarterly)
+//   Q2FY25, FY25 Q2 (PEPFAR fiscal quarters, FY25 starts October 2024) -> 2025Q1 (Quarterly)
+//   FY25, FY2025                                                        -> 2024Oct (FinancialOct)
+//   2025, 2025S1, 2025AprilS1, 2025April, 2025July, 2024Oct, 2024Nov    -> unchanged
+function normalizePeriod(rawValue) {
+  if (rawValue === null || rawValue === undefined || String(rawValue).trim() === '') {
+    return { error: 'missing period' };
+  }
+
+  // Date cells and Excel date serials name a month
+  if (rawValue instanceof Date && !isNaN(rawValue)) {
+    return monthlyPeriod(rawValue.getUTCFullYear(), rawValue.getUTCMonth() + 1);
+  }
+  if (typeof rawValue === 'number' && rawValue >= EXCEL_SERIAL_RANGE[0] && rawValue <= EXCEL_SERIAL_RANGE[1]) {
+    const date = new Date(Date.UTC(1899, 11, 30) + Math.floor(rawValue) * 86400000);
+    return monthlyPeriod(date.getUTCFullYear(), date.getUTCMonth() + 1);
+  }
+
+  const text = String(rawValue).trim();
+  let match;
+
+  for (const { pattern, type, format } of DHIS2_PERIOD_TYPES) {
+    match = text.match(pattern);
+    if (match) {
+      return { period: format ? format(match) : match[0], type };
+    }
+  }
+
+  match = text.match(/^(\d{4})[-/](0?[1-9]|1[0-2])(?:[-/](0?[1-9]|[12]\d|3[01]))?$/);
+  if (match) {
+    return monthlyPeriod(match[1], parseInt(match[2], 10));
+  }
+
+  match = text.match(/^(\d{4})[\s-]*Q([1-4])$/i) || text.match(/^Q([1-4])[\s-]*(\d{4})$/i);
+  if (match) {
+    const [year, quarter] = /^Q/i.test(text) ? [match[2], match[1]] : [match[1], match[2]];
+    return { period: `${year}Q${quarter}`, type: 'Quarterly' };
+  }
+
+  // PEPFAR fiscal quarters: FY Q1 is October-December of the previous calendar year
+  match = text.match(/^Q([1-4])[\s-]*FY[\s-]*(\d{2}|\d{4})$/i) || text.match(/^FY[\s-]*(\d{2}|\d{4})[\s-]*Q([1-4])$/i);
+  if (match) {
+    const [fiscalYear, fiscalQuarter] = /^Q/i.test(text) ? [fullYear(match[2]), parseInt(match[1], 10)] : [fullYear(match[1]), parseInt(match[2], 10)];
+    return fiscalQuarter === 1
+      ? { period: `${fiscalYear - 1}Q4`, type: 'Quarterly' }
+      : { period: `${fiscalYear}Q${fiscalQuarter - 1}`, type: 'Quarterly' };
+  }
+
+  match = text.match(/^FY[\s-]*(\d{2}|\d{4})$/i);
+  if (match) {
+    return { period: `${fullYear(match[1]) - 1}Oct`, type: 'FinancialOct' };
+  }
+
+  match = text.match(/^([a-z]+)[\s\-/.']*(\d{2}|\d{4})$/i);
+  if (match) {
+    // Full month names or their first three letters (plus 'sept')
+    const name = match[1].toLowerCase();
+    const month = MONTH_NAMES.findIndex(monthName => name === monthName || name === monthName.substring(0, 3) || (name === 'sept' && monthName === 'september'));
+    if (month >= 0) {
+      return monthlyPeriod(fullYear(match[2]), month + 1);
+    }
+  }
+
+  return { error: `unrecognised period '${text}'` };
+}
+
+// A row's period, normalized; rows without one use the file default (manifest or parsingConfig.defaultPeriod)
+function resolvePeriod(rawValue, defaultPeriod) {
+  if (rawValue === null || rawValue === undefined || String(rawValue).trim() === '') {
+    return { period: defaultPeriod };
+  }
+  return normalizePeriod(rawValue);
+}
+
+// Read a numeric cell. Returns { value, status } where status is
+//   'value'      - a number, including a real 0 ('1,234' -> 1234, '85%' -> 85 with percent: true)
+//   'missing'    - blank, N/A, '-' (value null, not 0)
+//   'suppressed' - small-number suppression such as '<5' or '*' (value null, suppressedBelow when known)
+//   'invalid'    - Excel error cells (#DIV/0!) and text that is not a number, with a reason
+// Ambiguous text like '1,5' is invalid rather than read as 1.5 or 15.
+function parseNumericValue(rawValue) {
+  if (rawValue === null || rawValue === undefined) {
+    return { value: null, status: 'missing' };
+  }
+  if (typeof rawValue === 'number') {
+    return Number.isFinite(rawValue) ? { value: rawValue, status: 'value' } : { value: null, status: 'invalid', reason: 'not a finite number' };
+  }
+
+  const text = String(rawValue).trim();
+  if (MISSING_VALUE_MARKERS.includes(text.toLowerCase())) {
+    return { value: null, status: 'missing' };
+  }
+  if (/^#[A-Z0-9/]+[!?]?$/i.test(text)) {
+    return { value: null, status: 'invalid', reason: `Excel error ${text}` };
+  }
+
+  const suppressed = text.match(/^(?:<|≤|<=)\s*(\d+)$/);
+  if (suppressed) {
+    return { value: null, status: 'suppressed', suppressedBelow: parseInt(suppressed[1], 10) };
+  }
+  if (SUPPRESSION_MARKERS.includes(text.toLowerCase())) {
+    return { value: null, status: 'suppressed' };
+  }
+
+  const percent = text.endsWith('%');
+  const numberText = (percent ? text.slice(0, -1) : text).trim();
+  if (/^[-+]?\d+(\.\d+)?$/.test(numberText) || /^[-+]?\d+\.$/.test(numberText) || /^[-+]?\.\d+$/.test(numberText)) {
+    return { value: parseFloat(numberText), status: 'value', ...(percent ? { percent } : {}) };
+  }
+  if (/^[-+]?\d{1,3}([, ]\d{3})+(\.\d+)?$/.test(numberText)) {
+    return { value: parseFloat(numberText.replace(/[, ]/g, '')), status: 'value', ...(percent ? { percent } : {}) };
+  }
+
+  return { value: null, status: 'invalid', reason: `'${text}' is not a number` };
+}
+
+// Read a JSON or YAML upload manifest or workbook template
+function loadSpecFile(specPath, kind = 'Manifest') {
+  const text = fs.readFileSync(specPath, 'utf8');
+  try {
+    return specPath.endsWith('.json') ? JSON.parse(text) : yaml.load(text);
+  } catch (error) {
+    throw new Error(`${kind} ${path.basename(specPath)} is not valid ${specPath.endsWith('.json') ? 'JSON' : 'YAML'}: ${error.message}`);
+  }
+}
+
+// A single value or a list, as a list
+function listOf(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+// Schema checks return an error message, or null when the value is fine
+function checkNames(value) {
+  return listOf(value).every(name => typeof name === 'string' && name.trim() !== '') ? null : 'must be a name or a list of names';
+}
+
+function checkPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0 ? null : 'must be a positive whole number';
+}
+
+// Check an object's keys against allowedKeys (any key when null) and each value with checkValue
+function checkKeys(value, allowedKeys, checkValue) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return 'must be an object';
+  }
+  for (const [key, option] of Object.entries(value)) {
+    if (allowedKeys && !allowedKeys.includes(key)) {
+      return `has an unexpected key '${key}'`;
+    }
+    const error = checkValue(option, key);
+    if (error) {
+      return `'${key}' ${error}`;
+    }
+  }
+  return null;
+}
+
+// Check a manifest or template against its schema
+function validateSpec(spec, schema) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    return ['must be an object'];
+  }
+
+  const errors = [];
+  Object.keys(spec).forEach(field => {
+    if (!schema[field]) {
+      errors.push(`unexpected field '${field}'`);
+    }
+  });
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const value = spec[field];
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) {
+        errors.push(`missing required field '${field}'`);
+      }
+      return;
+    }
+    if (rule.allowed && !rule.allowed.includes(value)) {
+      errors.push(`'${field}' must be one of ${rule.allowed.join(', ')} (got '${value}')`);
+    } else if (rule.pattern && !rule.pattern.test(String(value))) {
+      errors.push(`'${field}' has an invalid value '${value}'`);
+    } else if (rule.parse) {
+      const parsed = rule.parse(value);
+      if (parsed.error) {
+        errors.push(`'${field}' has an invalid value '${value}': ${parsed.error}`);
+      }
+    } else if (rule.check) {
+      const error = rule.check(value);
+      if (error) {
+        errors.push(`'${field}' ${error}`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+// Load the templates in parsingConfig.templates and parsingConfig.templateDir.
+// Invalid templates are left out and reported, so one bad file does not stop every other workbook.
+function loadTemplates(parsingConfig) {
+  const candidates = (parsingConfig.templates || []).map((spec, index) => ({ spec, origin: `parsingConfig.templates[${index}]` }));
+  const templateErrors = [];
+
+  if (parsingConfig.templateDir) {
+    try {
+      fs.readdirSync(parsingConfig.templateDir)
+        .filter(name => TEMPLATE_EXTENSIONS.includes(fileExtension(name)))
+        .sort()
+        .forEach(name => {
+          try {
+            candidates.push({ spec: loadSpecFile(path.join(parsingConfig.templateDir, name), 'Template'), origin: name });
+          } catch (error) {
+            templateErrors.push({ origin: name, errors: [error.message] });
+          }
+        });
+    } catch (error) {
+      templateErrors.push({ origin: parsingConfig.templateDir, errors: [`Cannot read template folder: ${error.message}`] });
+    }
+  }
+
+  const templates = [];
+  candidates.forEach(({ spec, origin }) => {
+    const errors = validateSpec(spec, templateSchema);
+    if (errors.length === 0 && templates.some(template => template.name === spec.name)) {
+      errors.push(`duplicate template name '${spec.name}'`);
+    }
+    if (errors.length > 0) {
+      templateErrors.push({ origin, name: spec && spec.name, errors });
+      return;
+    }
+
+    const match = spec.match || {};
+    templates.push({
+      name: spec.name,
+      origin,
+      fileType: spec.fileType,
+      match: {
+        fileName: match.fileName ? listOf(match.fileName) : null,
+        sheets: match.sheets ? listOf(match.sheets) : null,
+        headers: match.headers ? listOf(match.headers) : null
+      },
+      sheets: spec.sheets ? listOf(spec.sheets) : match.sheets ? listOf(match.sheets) : ['*'],
+      headerRow: spec.headerRow || null,
+      columns: spec.columns || {},
+      // Rules apply to every template sheet unless they name their own, and start at the template's header row
+      unpivot: spec.unpivot
+        ? listOf(spec.unpivot).map(rule => ({ headerRow: spec.headerRow || null, ...rule, sheets: rule.sheets ? listOf(rule.sheets) : ['*'] }))
+        : [],
+      period: spec.period ? normalizePeriod(spec.period).period : null,
+      orgUnit: spec.orgUnit || null
+    });
+  });
+
+  templateErrors.forEach(({ origin, errors }) => console.error(`Invalid workbook template ${origin}: ${errors.join('; ')}`));
+  console.log(`Loaded ${templates.length} workbook template(s)${templates.length > 0 ? `: ${templates.map(t => t.name).join(', ')}` : ''}`);
+
+  return { templates, templateErrors };
+}
+
+// Sheets of the workbook a template reads
+function templateSheets(template, source) {
+  return source.sheetNames.filter(sheetName => template.sheets.some(glob => globToRegExp(glob).test(sheetName)));
+}
+
+// First template whose file name, sheet and header criteria all hold; templates without criteria only apply by manifest
+function matchTemplate(templates, source, fileName) {
+  return templates.find(({ match, ...template }) => {
+    if (!match.fileName && !match.sheets && !match.headers) {
+      return false;
+    }
+    if (match.fileName && !match.fileName.some(glob => globToRegExp(glob).test(fileName))) {
+      return false;
+    }
+    if (match.sheets && !match.sheets.every(glob => source.sheetNames.some(sheetName => globToRegExp(glob).test(sheetName)))) {
+      return false;
+    }
+    if (match.headers) {
+      const wanted = match.headers.map(normalizeHeader);
+      return templateSheets(template, source).some(sheetName => {
+        const found = new Set();
+        previewRows(source, sheetName).forEach(({ cells }) => {
+          cells.filter(cell => cell !== null).forEach(cell => found.add(normalizeHeader(cell)));
+        });
+        return wanted.every(header => found.has(header));
+      });
+    }
+    return true;
+  }) || null;
+}
+
+// Compare parsed records with what the manifest declares
+function checkManifestCompliance(parsedData, manifest) {
+  const recordsByType = { hiv_indicators: parsedData.indicators, direct_queries: parsedData.queries, dq_sites: parsedData.sites };
+  const records = recordsByType[manifest.fileType] || [];
+  const violations = [];
+
+  if (records.length === 0) {
+    violations.push(`manifest declares fileType '${manifest.fileType}' but no ${manifest.fileType} records were found`);
+  }
+
+  const otherPeriods = [...new Set(records.filter(r => r.period).map(r => String(r.period)).filter(p => p !== String(manifest.period)))];
+  if (otherPeriods.length > 0) {
+    violations.push(`manifest declares period ${manifest.period} but rows contain ${otherPeriods.slice(0, 5).join(', ')}`);
+  }
+
+  // Only indicator files report for a single orgUnit; query rows are per site
+  if (manifest.orgUnit && manifest.fileType === 'hiv_indicators') {
+    const otherOrgUnits = [...new Set(records.map(r => r.orgUnit).filter(ou => ou !== manifest.orgUnit))];
+    if (otherOrgUnits.length > 0) {
+      violations.push(`manifest declares orgUnit ${manifest.orgUnit} but rows contain ${otherOrgUnits.slice(0, 5).join(', ')}`);
+    }
+  }
+
+  return violations;
+}
+
+// Expand a downloaded .zip batch into one file record per supported entry
+function expandArchive(file) {
+  const extractRoot = `${file.localPath}.extracted/`;
+  const container = CFB.read(fs.readFileSync(file.localPath), { type: 'buffer' });
+  const entries = [];
+  const skippedEntries = [];
+
+  const entryManifests = {};
+
+  container.FileIndex.forEach((entry, index) => {
+    const entryPath = container.FullPaths[index].replace(/^Root Entry\//, '');
+
+    // Skip the root, folders, the CFB placeholder stream and OS metadata
+    if (entry.type !== 2 || !entry.content || entryPath === '' || entryPath.endsWith('/') ||
+        entryPath.startsWith('\u0001') || entryPath.startsWith('__MACOSX/') || entry.name.startsWith('.')) {
+      return;
+    }
+
+    const manifestSuffix = MANIFEST_SUFFIXES.find(suffix => entryPath.toLowerCase().endsWith(suffix));
+    if (!manifestSuffix && !WORKBOOK_EXTENSIONS.includes(fileExtension(entry.name))) {
+      skippedEntries.push(entryPath);
+      return;
+    }
+
+    // Never write outside the extraction folder
+    const localPath = path.resolve(extractRoot, entryPath);
+    if (!localPath.startsWith(path.resolve(extractRoot) + path.sep)) {
+      skippedEntries.push(entryPath);
+      return;
+    }
+
+    const content = Buffer.from(entry.content);
+    fs.mkdirSync(path.dirname(localPath), { recursive: true });
+    fs.writeFileSync(localPath, content);
+
+    // Manifests inside the batch belong to the workbook entry they are named after
+    if (manifestSuffix) {
+      entryManifests[entryPath.substring(0, entryPath.length - manifestSuffix.length)] = localPath;
+      return;
+    }
+
+    entries.push({
+      ...file,
+      key: `${file.key || file.name}#${entryPath}`,
+      name: entry.name,
+      localPath,
+      size: content.length,
+      contentHash: crypto.createHash('sha256').update(content).digest('hex'),
+      archive: {
+        key: file.key || file.name,
+        name: file.name,
+        path: file.path,
+        markerPath: file.markerPath,
+        manifestPath: file.manifestPath,
+        contentHash: file.contentHash,
+        entry: entryPath
+      }
+    });
+  });
+
+  entries.forEach(entry => {
+    if (entryManifests[entry.archive.entry]) {
+      entry.manifestLocalPath = entryManifests[entry.archive.entry];
+    }
+  });
+
+  if (skippedEntries.length > 0) {
+    console.warn(`Skipped unsupported entries in ${file.name}: ${skippedEntries.join(', ')}`);
+  }
+  console.log(`Expanded ${file.name} into ${entries.length} file(s)`);
+
+  return entries;
+}
 
 // Enhanced Excel data parsing
-function parseExcelData(filePath, fileName) {
+function parseExcelData(filePath, fileName, parsingConfig = defaultParsingConfig, manifest = null, templates = [],
+  validationConfig = defaultValidationConfig) {
   console.log(`Parsing Excel file: ${fileName} at ${filePath}`);
   
   try {
@@ -35,36 +1325,133 @@ function parseExcelData(filePath, fileName) {
       throw new Error(`File not found: ${filePath}`);
     }
 
-    // Read the Excel file
-    const workbook = XLSX.readFile(filePath);
-    console.log(`Workbook sheets: ${workbook.SheetNames.join(', ')}`);
+    // Open the Excel, ODS or CSV file
+    const source = openWorkbookSource(filePath, fileName);
+    console.log(`Workbook sheets: ${source.sheetNames.join(', ')}`);
+
+    // A template named by the manifest, else the first one matching the file name, sheets and headers
+    let template = null;
+    if (manifest && manifest.template) {
+      template = templates.find(candidate => candidate.name === manifest.template);
+      if (!template) {
+        throw new Error(`Manifest names unknown template '${manifest.template}'`);
+      }
+    } else {
+      template = matchTemplate(templates, source, fileName);
+    }
+    if (template) {
+      console.log(`Using workbook template ${template.name} (${template.origin}) for ${fileName}`);
+    }
 
     let dataType = 'unknown';
     let parsedData = {};
+    const defaults = {
+      period: manifest ? String(manifest.period) : (template && template.period) || null,
+      orgUnit: (manifest && manifest.orgUnit) || (template && template.orgUnit) || 'MW_DEFAULT'
+    };
+    if (!defaults.period && parsingConfig.defaultPeriod) {
+      const defaultPeriod = normalizePeriod(parsingConfig.defaultPeriod);
+      if (defaultPeriod.error) {
+        throw new Error(`Invalid parsingConfig.defaultPeriod: ${defaultPeriod.error}`);
+      }
+      defaults.period = defaultPeriod.period;
+    }
+
+    // Headers are matched through the column synonym dictionary, or the template's layout
+    const headerOptions = {
+      synonymIndex: buildSynonymIndex(parsingConfig, template ? template.columns : {}),
+      searchRows: parsingConfig.headerSearchRows,
+      headerRow: template ? template.headerRow : null,
+      unpivotRules: template ? template.unpivot : parsingConfig.unpivot
+    };
+    const sheetNames = template ? templateSheets(template, source) : source.sheetNames;
+    if (sheetNames.length === 0) {
+      throw new Error(`Template ${template.name} matches none of the sheets ${source.sheetNames.join(', ')}`);
+    }
 
-    // Determine data type based on filename
-    if (fileName.includes('DHIS2_HIV Indicators') || fileName.includes('HIV') || fileName.includes('hiv')) {
+    // Determine data type from the manifest, else from sheet names and header rows
+    const detection = detectFileType(source, headerOptions.synonymIndex);
+    console.log(`Detected type ${detection.type} (confidence ${detection.confidence}), scores:`, detection.scores);
+    if (manifest) {
+      detection.method = 'manifest';
+      if (detection.type !== manifest.fileType) {
+        console.warn(`Manifest declares ${manifest.fileType} but content looks like ${detection.type}`);
+      }
+    }
+    let fileType = manifest ? manifest.fileType : detection.type;
+
+    if (template) {
+      if (manifest && manifest.fileType !== template.fileType) {
+        console.warn(`Manifest declares ${manifest.fileType} but template ${template.name} describes ${template.fileType}`);
+      }
+      fileType = manifest ? manifest.fileType : template.fileType;
+      detection.method = manifest ? 'manifest' : 'template';
+      detection.template = template.name;
+    }
+
+    // Crosstab sheets rarely carry recognisable headers, so an unpivot rule can name the parser
+    const unpivotRule = source.sheetNames.map(sheetName => findUnpivotRule(parsingConfig.unpivot, sheetName)).find(Boolean);
+    if (fileType === 'unknown' && !template && unpivotRule) {
+      fileType = unpivotRule.fileType;
+      detection.method = 'unpivot';
+      console.log(`Using unpivot rule file type ${fileType} for ${fileName}`);
+    }
+
+    // Every record is validated as it is parsed, so findings point at their cells
+    const validator = createRecordValidator(resolveValidationSchema(fileType, validationConfig), validationConfig);
+
+    if (fileType === 'hiv_indicators') {
       dataType = 'hiv_indicators';
-      parsedData = parseHIVIndicators(workbook);
-    } else if (fileName.includes('Direct Queries') || fileName.includes('DQ') || fileName.includes('queries')) {
+      // Without a template only the first sheet holds indicators
+      parsedData = parseHIVIndicators(source, template ? sheetNames : sheetNames.slice(0, 1), defaults, headerOptions, validator);
+    } else if (fileType === 'direct_queries') {
       dataType = 'direct_queries';
-      parsedData = parseDirectQueries(workbook);
+      parsedData = parseDirectQueries(source, sheetNames, defaults, headerOptions, validator);
+    } else if (fileType === 'dq_sites') {
+      dataType = 'dq_sites';
+      parsedData = parseDQSites(source, sheetNames, defaults, headerOptions, validator);
     } else {
       // Generic parsing for unknown files
-      parsedData = parseGenericExcel(workbook);
+      parsedData = parseGenericExcel(source);
     }
 
-    // Validate the parsed data
-    const validation = validateExcelData(parsedData, dataType);
+    // Every rejected or coerced cell names its workbook, so clerks can fix it at the source
+    if (parsedData.cellErrors) {
+      parsedData.cellErrors = parsedData.cellErrors.map(error => ({ workbook: fileName, ...error }));
+      const rejected = parsedData.cellErrors.filter(error => error.action === 'rejected').length;
+      if (parsedData.cellErrors.length > 0) {
+        console.warn(`${fileName}: ${rejected} rejected and ${parsedData.cellErrors.length - rejected} coerced cell(s), first:`,
+          parsedData.cellErrors.slice(0, 5).map(error => `${error.sheet}!${error.cell} ${error.reason}`));
+      }
+    }
+
+    // A workbook that contradicts its manifest is rejected outright
+    if (manifest) {
+      const violations = checkManifestCompliance(parsedData, manifest);
+      if (violations.length > 0) {
+        throw new Error(`Workbook does not match its manifest: ${violations.join('; ')}`);
+      }
+    }
+
+    // Summarise the record findings; under 'block_upload' an error keeps the file from upload
+    const validation = validateExcelData(parsedData, dataType, validator, validationConfig);
+    validation.findings = validation.findings.map(finding => ({ workbook: fileName, ...finding }));
     if (!validation.isValid) {
-      console.warn(`Data validation warnings for ${fileName}:`, validation.warnings);
+      console.warn(`Data validation for ${fileName}: ${validation.counts.error} error(s), ${validation.counts.warning} warning(s), ` +
+        `${validation.excludedRows} row(s) excluded`, validation.warnings,
+        validation.findings.filter(finding => finding.severity === 'error').slice(0, 5).map(finding => `${finding.sheet}!${finding.cell} ${finding.message}`));
     }
 
     return {
       type: dataType,
       fileName: fileName,
       filePath: filePath,
-      sheetNames: workbook.SheetNames,
+      sourceFormat: source.sourceFormat,
+      csvDialect: source.csvDialect || null,
+      manifest: manifest,
+      detection: detection,
+      template: template ? { name: template.name, origin: template.origin } : null,
+      sheetNames: source.sheetNames,
       ...parsedData,
       validation: validation,
       processedAt: new Date().toISOString()
@@ -76,111 +1463,439 @@ function parseExcelData(filePath, fileName) {
   }
 }
 
-// Parse HIV Indicators Excel file
-function parseHIVIndicators(workbook) {
-  const sheetName = workbook.SheetNames[0]; // Use first sheet
-  const worksheet = workbook.Sheets[sheetName];
-  const jsonData = XLSX.utils.sheet_to_json(worksheet);
+// Parse HIV Indicators Excel file (the first sheet, or the sheets a template names)
+function parseHIVIndicators(source, sheetNames, defaults, headerOptions, validator) {
+  const indicators = [];
+  const sheetSummaries = [];
+  const cellErrors = [];
 
-  console.log(`Processing ${jsonData.length} rows from HIV Indicators sheet`);
+  sheetNames.forEach(sheetName => {
+    let index = 0;
+    let validRows = 0;
+    let headerMapping = null;
 
-  const indicators = jsonData.map((row, index) => {
-    try {
-      return {
-        indicator: row['Indicator'] || row['indicator'] || `Row_${index + 1}`,
-        value: parseFloat(row['Value'] || row['value'] || 0),
-        period: row['Period'] || row['period'] || '202506',
-        orgUnit: row['OrgUnit'] || row['orgUnit'] || row['Facility'] || 'MW_DEFAULT',
-        target: parseFloat(row['Target'] || row['target']) || null,
-        comment: row['Comment'] || row['comment'] || null,
-        dataElement: row['DataElement'] || row['dataElement'] || null,
-        rowIndex: index + 1
-      };
-    } catch (error) {
-      console.warn(`Error processing row ${index + 1}:`, error);
-      return null;
+    for (const mapped of iterateFieldRecords(source, sheetName, headerOptions)) {
+      const row = mapped.record;
+      headerMapping = mapped.headerMapping;
+      index++;
+      try {
+        const period = resolvePeriod(row.period, defaults.period);
+        if (period.error) {
+          recordFieldError(cellErrors, mapped, sheetName, 'period', period.error, 'rejected');
+          continue;
+        }
+        const value = readNumericField(mapped, 'value', sheetName, cellErrors, { rejectsRow: true });
+        if (value.status === 'invalid') {
+          continue;
+        }
+        if (!row.indicator) {
+          recordFieldError(cellErrors, mapped, sheetName, 'indicator', `no indicator, named Row_${index}`, 'coerced');
+        }
+
+        const indicator = {
+          indicator: row.indicator ? String(row.indicator) : `Row_${index}`,
+          ...valueFields(value),
+          period: period.period,
+          orgUnit: String(row.orgUnit || row.site || defaults.orgUnit),
+          target: readNumericField(mapped, 'target', sheetName, cellErrors).value,
+          comment: row.comment || null,
+          dataElement: row.dataElement || null,
+          disaggregation: disaggregationLabel(row),
+          sheet: sheetName,
+          rowIndex: index,
+          rowNumber: mapped.rowNumber
+        };
+        if (!validator.check(indicator, mapped, sheetName)) {
+          continue;
+        }
+        indicators.push(indicator);
+        validRows++;
+      } catch (error) {
+        console.warn(`Error processing row ${index}:`, error);
+        cellErrors.push(cellError(sheetName, mapped.rowNumber, null, null, null, error.message, 'rejected'));
+      }
     }
-  }).filter(item => item !== null);
 
-  return { indicators };
+    sheetSummaries.push(sheetSummary(sheetName, headerMapping, index, validRows));
+    console.log(`Processed ${index} rows from HIV Indicators sheet ${sheetName}`, headerMapping ? headerMapping.recognized : {});
+  });
+
+  return { indicators, cellErrors, sheetSummaries };
 }
 
 // Parse Direct Queries Excel file
-function parseDirectQueries(workbook) {
-  const sheetName = workbook.SheetNames[0];
-  const worksheet = workbook.Sheets[sheetName];
-  const jsonData = XLSX.utils.sheet_to_json(worksheet);
+// Every sheet is parsed; the sheet name (COHORT_REPORT, TX_ML, ...) is each record's indicator context.
+// Rows without a site or a value (totals, notes) are counted but not kept; suppressed values are kept as null.
+function parseDirectQueries(source, sheetNames, defaults, headerOptions, validator) {
+  const queries = [];
+  const sheetSummaries = [];
+  const cellErrors = [];
 
-  console.log(`Processing ${jsonData.length} rows from Direct Queries sheet`);
+  sheetNames.forEach(sheetName => {
+    let index = 0;
+    let validRows = 0;
+    let headerMapping = null;
 
-  const queries = jsonData.map((row, index) => {
-    try {
-      return {
-        site: row['Site'] || row['site'] || row['Facility'] || `Site_${index + 1}`,
-        indicator: row['Indicator'] || row['indicator'] || row['Query'] || `Indicator_${index + 1}`,
-        value: parseFloat(row['Value'] || row['value'] || row['Count'] || row['Total'] || 0),
-        period: row['Period'] || row['period'] || '202506',
-        orgUnit: row['OrgUnit'] || row['orgUnit'] || row['Site'] || 'MW_DEFAULT',
-        target: parseFloat(row['Target'] || row['target']) || null,
-        comment: row['Comment'] || row['comment'] || null,
-        rowIndex: index + 1
-      };
-    } catch (error) {
-      console.warn(`Error processing row ${index + 1}:`, error);
-      return null;
+    for (const mapped of iterateFieldRecords(source, sheetName, headerOptions)) {
+      const { rowNumber, record: row } = mapped;
+      headerMapping = mapped.headerMapping;
+      index++;
+      try {
+        if (!row.site || String(row.site).trim() === '') {
+          if (row.value !== undefined) {
+            recordFieldError(cellErrors, mapped, sheetName, 'site', 'row has a value but no site', 'rejected');
+          }
+          continue;
+        }
+        const value = readNumericField(mapped, 'value', sheetName, cellErrors, { rejectsRow: true });
+        if (value.status === 'invalid') {
+          continue;
+        }
+        if (value.status === 'missing') {
+          recordFieldError(cellErrors, mapped, sheetName, 'value', 'no value for the site', 'rejected');
+          continue;
+        }
+        const period = resolvePeriod(row.period, defaults.period);
+        if (period.error) {
+          recordFieldError(cellErrors, mapped, sheetName, 'period', period.error, 'rejected');
+          continue;
+        }
+
+        const query = {
+          site: String(row.site).trim(),
+          indicator: String(row.indicator || sheetName),
+          indicatorContext: sheetName,
+          sheet: sheetName,
+          ...valueFields(value),
+          period: period.period,
+          orgUnit: row.orgUnit || row.site || defaults.orgUnit,
+          target: readNumericField(mapped, 'target', sheetName, cellErrors).value,
+          comment: row.comment || null,
+          disaggregation: disaggregationLabel(row),
+          rowIndex: index,
+          rowNumber
+        };
+        if (!validator.check(query, mapped, sheetName)) {
+          continue;
+        }
+        queries.push(query);
+        validRows++;
+      } catch (error) {
+        console.warn(`Error processing ${sheetName} row ${rowNumber}:`, error);
+        cellErrors.push(cellError(sheetName, rowNumber, null, null, null, error.message, 'rejected'));
+      }
     }
-  }).filter(item => item !== null);
 
-  return { queries };
+    sheetSummaries.push(sheetSummary(sheetName, headerMapping, index, validRows));
+    console.log(`Processed ${index} rows (${validRows} valid) from Direct Queries sheet ${sheetName}`);
+  });
+
+  return { queries, cellErrors, sheetSummaries };
+}
+
+// Read a score or completeness cell as a percentage: '95%' and 95 stay 95, fractions like 0.95 become 95
+function parsePercentage(rawValue) {
+  const parsed = parseNumericValue(rawValue);
+  if (parsed.status !== 'value') {
+    return { ...parsed, value: null };
+  }
+  const percentage = !parsed.percent && Math.abs(parsed.value) <= 1 ? parsed.value * 100 : parsed.value;
+  return { ...parsed, value: Math.round(percentage * 100) / 100 };
+}
+
+// Parse the data quality sites workbook (one sheet per indicator, one row per site)
+// Each row keeps its value plus the site's concordance score and completeness for that indicator;
+// siteMetrics averages score and completeness per site across all indicator sheets.
+function parseDQSites(source, sheetNames, defaults, headerOptions, validator) {
+  const sites = [];
+  const sheetSummaries = [];
+  const cellErrors = [];
+  const siteTotals = {};
+
+  sheetNames.forEach(sheetName => {
+    let index = 0;
+    let validRows = 0;
+    let headerMapping = null;
+
+    for (const mapped of iterateFieldRecords(source, sheetName, headerOptions)) {
+      const { rowNumber, record: row } = mapped;
+      if (!headerMapping) {
+        console.log(`DQ Sites sheet ${sheetName} headers:`, mapped.headerMapping.recognized);
+      }
+      headerMapping = mapped.headerMapping;
+      index++;
+      try {
+        if (!row.site || String(row.site).trim() === '') {
+          if (row.value !== undefined || row.score !== undefined) {
+            recordFieldError(cellErrors, mapped, sheetName, 'site', 'row has a value but no site', 'rejected');
+          }
+          continue;
+        }
+        const score = readNumericField(mapped, 'score', sheetName, cellErrors, { parse: parsePercentage }).value;
+        const completeness = readNumericField(mapped, 'completeness', sheetName, cellErrors, { parse: parsePercentage }).value;
+        // Without a score or completeness the row stands or falls with its value
+        const value = readNumericField(mapped, 'value', sheetName, cellErrors, { rejectsRow: score === null && completeness === null });
+        if (value.status !== 'value' && value.status !== 'suppressed' && score === null && completeness === null) {
+          continue;
+        }
+        const period = resolvePeriod(row.period, defaults.period);
+        if (period.error) {
+          recordFieldError(cellErrors, mapped, sheetName, 'period', period.error, 'rejected');
+          continue;
+        }
+
+        const siteName = String(row.site).trim();
+        const site = {
+          site: siteName,
+          district: row.district || null,
+          indicator: String(row.indicator || sheetName),
+          indicatorContext: sheetName,
+          sheet: sheetName,
+          ...valueFields(value),
+          score,
+          completeness,
+          period: period.period,
+          orgUnit: row.orgUnit || null,
+          rowIndex: index,
+          rowNumber
+        };
+        if (!validator.check(site, mapped, sheetName)) {
+          continue;
+        }
+        sites.push(site);
+        validRows++;
+
+        if (!siteTotals[siteName]) {
+          siteTotals[siteName] = { site: siteName, district: row.district || null, indicators: 0, scores: [], completeness: [] };
+        }
+        siteTotals[siteName].indicators++;
+        if (score !== null) {
+          siteTotals[siteName].scores.push(score);
+        }
+        if (completeness !== null) {
+          siteTotals[siteName].completeness.push(completeness);
+        }
+      } catch (error) {
+        console.warn(`Error processing ${sheetName} row ${rowNumber}:`, error);
+        cellErrors.push(cellError(sheetName, rowNumber, null, null, null, error.message, 'rejected'));
+      }
+    }
+
+    sheetSummaries.push(sheetSummary(sheetName, headerMapping, index, validRows));
+    console.log(`Processed ${index} rows (${validRows} valid) from DQ Sites sheet ${sheetName}`);
+  });
+
+  const average = values => (values.length > 0 ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length * 100) / 100 : null);
+  const siteMetrics = Object.values(siteTotals).map(totals => ({
+    site: totals.site,
+    district: totals.district,
+    indicators: totals.indicators,
+    averageScore: average(totals.scores),
+    averageCompleteness: average(totals.completeness)
+  }));
+
+  console.log(`Extracted ${sites.length} DQ records for ${siteMetrics.length} sites`);
+
+  return { sites, siteMetrics, cellErrors, sheetSummaries };
 }
 
 // Generic Excel parsing for unknown file types
-function parseGenericExcel(workbook) {
+function parseGenericExcel(source) {
   console.log('Using generic Excel parsing...');
   
   const sheets = {};
-  workbook.SheetNames.forEach(sheetName => {
-    const worksheet = workbook.Sheets[sheetName];
-    const jsonData = XLSX.utils.sheet_to_json(worksheet);
-    sheets[sheetName] = jsonData;
+  const sheetRowCounts = {};
+  source.sheetNames.forEach(sheetName => {
+    const rows = [];
+    let rowCount = 0;
+    for (const { record } of iterateSheetRecords(source.getSheet(sheetName))) {
+      rows.push(record);
+      rowCount++;
+    }
+    sheets[sheetName] = rows;
+    sheetRowCounts[sheetName] = rowCount;
   });
 
-  return { sheets, type: 'generic' };
+  return { sheets, sheetRowCounts, type: 'generic' };
 }
 
-// Validate parsed Excel data
-function validateExcelData(data, dataType) {
-  const schema = validationSchemas[dataType];
-  if (!schema) {
-    return { isValid: true, warnings: [`No validation schema for data type: ${dataType}`] };
+// The schema for a record type with state.validationConfig.schemas merged in
+function resolveValidationSchema(dataType, validationConfig) {
+  const base = validationSchemas[dataType];
+  const override = (validationConfig.schemas || {})[dataType];
+  if (!base || !override) {
+    return base || override || null;
   }
+  return {
+    required: override.required || base.required,
+    properties: { ...base.properties, ...(override.properties || {}) }
+  };
+}
 
-  const warnings = [];
-  let isValid = true;
-
-  // Get the actual data array based on type
-  let dataArray = [];
-  if (dataType === 'hiv_indicators' && data.indicators) {
-    dataArray = data.indicators;
-  } else if (dataType === 'direct_queries' && data.queries) {
-    dataArray = data.queries;
+// Check one value against one schema rule; returns the failed keyword and a message, or null
+function checkRule(value, rule) {
+  const present = value !== null && value !== undefined;
+  if (rule.type) {
+    const typeOf = !present ? 'null' : typeof value === 'number' && Number.isFinite(value) ? 'number' : typeof value;
+    const types = listOf(rule.type);
+    if (!types.includes(typeOf)) {
+      return { keyword: 'type', message: `expected ${types.join(' or ')}, got ${typeOf}` };
+    }
   }
-
-  if (dataArray.length === 0) {
-    warnings.push('No data found in the parsed Excel file');
-    isValid = false;
+  if (rule.enum && !rule.enum.includes(value)) {
+    return { keyword: 'enum', message: `must be one of ${rule.enum.join(', ')}` };
+  }
+  if (rule.const !== undefined && value !== rule.const) {
+    return { keyword: 'const', message: `must be ${rule.const}` };
+  }
+  if (typeof value === 'string') {
+    if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+      return { keyword: 'minLength', message: `must have at least ${rule.minLength} character(s)` };
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return { keyword: 'maxLength', message: `must have at most ${rule.maxLength} characters` };
+    }
+    if (rule.pattern && !new RegExp(rule.pattern).test(value)) {
+      return { keyword: 'pattern', message: `does not match ${rule.pattern}` };
+    }
+    if (rule.format === 'dhis2-period' && normalizePeriod(value).period !== value) {
+      return { keyword: 'format', message: 'is not a DHIS2 period' };
+    }
+    if (rule.format === 'dhis2-uid' && !/^[a-zA-Z][a-zA-Z0-9]{10}$/.test(value)) {
+      return { keyword: 'format', message: 'is not a DHIS2 UID' };
+    }
+  }
+  if (typeof value === 'number') {
+    if (rule.minimum !== undefined && value < rule.minimum) {
+      return { keyword: 'minimum', message: `must be at least ${rule.minimum}` };
+    }
+    if (rule.maximum !== undefined && value > rule.maximum) {
+      return { keyword: 'maximum', message: `must be at most ${rule.maximum}` };
+    }
   }
+  return null;
+}
 
-  // Check required columns in first few rows
-  const sampleRows = dataArray.slice(0, 5);
-  schema.requiredColumns.forEach(column => {
-    const hasColumn = sampleRows.some(row => row[column] !== undefined && row[column] !== null);
-    if (!hasColumn) {
-      warnings.push(`Required column '${column}' appears to be missing or empty`);
+// Check a whole record against a schema; returns findings as { field, value, rule, severity, message }
+function validateRecord(record, schema) {
+  const findings = [];
+  (schema.required || []).forEach(field => {
+    const value = record[field];
+    if (value === null || value === undefined || String(value).trim() === '') {
+      findings.push({ field, value: value === undefined ? null : value, rule: 'required', severity: 'error', message: `${field} is required` });
     }
   });
 
-  return { isValid, warnings };
+  Object.entries(schema.properties || {}).forEach(([field, rules]) => {
+    const value = record[field];
+    if (value === undefined || findings.some(finding => finding.field === field)) {
+      return;
+    }
+    for (const rule of listOf(rules)) {
+      const failure = checkRule(value, rule);
+      if (failure) {
+        findings.push({
+          field,
+          value,
+          rule: failure.keyword,
+          severity: VALIDATION_SEVERITIES.includes(rule.severity) ? rule.severity : 'error',
+          message: rule.message ? `${field}: ${rule.message}` : `${field} ${failure.message}`
+        });
+        // Later rules on a field refine earlier ones, so stop at the first failure
+        break;
+      }
+    }
+  });
+
+  return findings;
+}
+
+// Validate records as the parsers produce them, locating every finding at its cell.
+// check() returns whether the record is kept: under 'exclude_rows' records with an error are dropped.
+function createRecordValidator(schema, validationConfig) {
+  const findings = [];
+  const counts = { error: 0, warning: 0, info: 0 };
+  let excludedRows = 0;
+
+  return {
+    findings,
+    counts,
+    excludedRows: () => excludedRows,
+    check(record, mapped, sheetName) {
+      if (!schema) {
+        return true;
+      }
+      const recordFindings = validateRecord(record, schema);
+      const hasError = recordFindings.some(finding => finding.severity === 'error');
+      const excluded = hasError && validationConfig.errorPolicy === 'exclude_rows';
+      recordFindings.forEach(finding => {
+        counts[finding.severity]++;
+        // info findings (missing or suppressed values) are only counted: sparse sheets have thousands
+        if (finding.severity === 'info') {
+          return;
+        }
+        // valueStatus describes the value cell
+        const cellField = finding.field === 'valueStatus' ? 'value' : finding.field;
+        const column = (mapped.fieldColumns && mapped.fieldColumns[cellField]) || null;
+        const location = cellError(sheetName, mapped.rowNumber, column, finding.field, finding.value, finding.message, null);
+        findings.push({
+          sheet: location.sheet,
+          cell: location.cell,
+          row: location.row,
+          column: location.column,
+          ...finding,
+          ...(finding.severity === 'error' ? { rowExcluded: excluded } : {})
+        });
+      });
+      if (excluded) {
+        excludedRows++;
+      }
+      return !excluded;
+    }
+  };
+}
+
+// Summarise a file's validation: finding counts per severity, excluded rows, and whether the policy blocks upload
+function validateExcelData(data, dataType, validator, validationConfig) {
+  const recordsByType = { hiv_indicators: data.indicators, direct_queries: data.queries, dq_sites: data.sites };
+  const records = recordsByType[dataType];
+  const warnings = [];
+
+  if (!records) {
+    warnings.push(`No validation schema for data type: ${dataType}`);
+  } else if (records.length === 0) {
+    warnings.push('No data found in the parsed Excel file');
+  }
+
+  const findings = validator ? validator.findings : [];
+  const counts = validator ? { ...validator.counts } : { error: 0, warning: 0, info: 0 };
+
+  return {
+    isValid: records ? records.length > 0 && counts.error === 0 : true,
+    errorPolicy: validationConfig.errorPolicy,
+    blocked: validationConfig.errorPolicy === 'block_upload' && counts.error > 0,
+    counts,
+    excludedRows: validator ? validator.excludedRows() : 0,
+    findings,
+    warnings
+  };
+}
+
+// Describe a file that could not be processed, keeping what archive-sftp-files needs to quarantine it
+// (details such as cell errors and validation findings go into its error sidecar)
+function failedFile(file, message, details = {}) {
+  return {
+    fileName: file.name,
+    name: file.name,
+    key: file.key,
+    path: file.path,
+    markerPath: file.markerPath,
+    manifestPath: file.manifestPath,
+    contentHash: file.contentHash,
+    archive: file.archive,
+    error: message,
+    ...details
+  };
 }
 
 // Main processing function
@@ -196,16 +1911,62 @@ fn((state) => {
     };
   }
 
+  const parsingConfig = { ...defaultParsingConfig, ...(state.parsingConfig || {}) };
+  const validationConfig = { ...defaultValidationConfig, ...(state.validationConfig || {}) };
+  if (!VALIDATION_ERROR_POLICIES.includes(validationConfig.errorPolicy)) {
+    throw new Error(`Unknown validation error policy '${validationConfig.errorPolicy}', expected one of ${VALIDATION_ERROR_POLICIES.join(', ')}`);
+  }
+  const { templates, templateErrors } = loadTemplates(parsingConfig);
   const processedFiles = [];
   const processingErrors = [];
+  const filesToProcess = [];
 
+  // Expand .zip batches so every entry flows through the same parsers and tracking
   state.downloadedFiles.forEach(file => {
+    if (!ARCHIVE_EXTENSIONS.includes(fileExtension(file.name))) {
+      filesToProcess.push(file);
+      return;
+    }
+
+    try {
+      filesToProcess.push(...expandArchive(file));
+    } catch (error) {
+      console.error(`Failed to expand archive ${file.name}:`, error);
+      processingErrors.push(failedFile(file, `Failed to expand archive: ${error.message}`));
+    }
+  });
+
+  filesToProcess.forEach(file => {
     try {
       console.log(`Processing file: ${file.name}`);
       
-      const excelData = parseExcelData(file.localPath, file.name);
+      let manifest = null;
+      if (file.manifestLocalPath) {
+        manifest = loadSpecFile(file.manifestLocalPath);
+        const manifestErrors = validateSpec(manifest, manifestSchema);
+        if (manifestErrors.length > 0) {
+          throw new Error(`Invalid manifest for ${file.name}: ${manifestErrors.join('; ')}`);
+        }
+        // Declared periods may use any spelling normalizePeriod reads, e.g. Q2FY25
+        manifest.period = normalizePeriod(manifest.period).period;
+        console.log(`Using manifest for ${file.name}: ${manifest.fileType} ${manifest.period} submitted by ${JSON.stringify(manifest.submitter)}`);
+      }
+      
+      const excelData = parseExcelData(file.localPath, file.name, parsingConfig, manifest, templates, validationConfig);
+      if (excelData.validation.blocked) {
+        const errors = excelData.validation.findings.filter(finding => finding.severity === 'error');
+        console.error(`Validation blocked upload of ${file.name}: ${errors.length} error(s)`);
+        processingErrors.push(failedFile(file, `Validation failed with ${errors.length} error(s), first: ` +
+          errors.slice(0, 3).map(finding => `${finding.sheet}!${finding.cell} ${finding.message}`).join('; '), {
+          cellErrors: excelData.cellErrors || [],
+          validationFindings: excelData.validation.findings,
+          validationCounts: excelData.validation.counts
+        }));
+        return;
+      }
       processedFiles.push({
         ...file,
+        manifest,
         excelData,
         processedAt: new Date().toISOString(),
         status: 'processed'
@@ -215,19 +1976,33 @@ fn((state) => {
       
     } catch (error) {
       console.error(`Failed to process ${file.name}:`, error);
-      processingErrors.push({
-        fileName: file.name,
-        error: error.message
-      });
+      processingErrors.push(failedFile(file, error.message));
     }
   });
 
-  console.log(`Processing complete: ${processedFiles.length} files processed, ${processingErrors.length} errors`);
+  // Cell errors of every file, kept on the run state through upload, tracking and archiving
+  const cellErrors = processedFiles.flatMap(file => file.excelData.cellErrors || []);
+
+  // Validation totals across files, including files the policy blocked
+  const validationSummary = { errorPolicy: validationConfig.errorPolicy, error: 0, warning: 0, info: 0, excludedRows: 0, blockedFiles: 0 };
+  [...processedFiles.map(file => file.excelData.validation.counts), ...processingErrors.map(failure => failure.validationCounts || {})]
+    .forEach(counts => VALIDATION_SEVERITIES.forEach(severity => {
+      validationSummary[severity] += counts[severity] || 0;
+    }));
+  processedFiles.forEach(file => {
+    validationSummary.excludedRows += file.excelData.validation.excludedRows;
+  });
+  validationSummary.blockedFiles = processingErrors.filter(failure => failure.validationFindings).length;
+
+  console.log(`Processing complete: ${processedFiles.length} files processed, ${processingErrors.length} errors, ${cellErrors.length} cell errors`);
 
   return {
     ...state,
     processedFiles,
     processingErrors,
+    cellErrors,
+    validationSummary,
+    templateErrors,
     processingCompleted: true,
     data: processedFiles.length > 0 ? processedFiles[0].excelData : null // Primary data for next step
   };
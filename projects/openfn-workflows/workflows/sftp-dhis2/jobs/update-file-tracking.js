@@ -4,6 +4,43 @@
  */
 
 import { fn } from '@openfn/language-common';
+import fs from 'fs';
+
+// Default value history configuration, override with state.valueHistoryConfig (shared with detect-outliers.js)
+const defaultValueHistoryConfig = {
+  store: 'state',
+  path: '/tmp/openfn-downloads/.history/value-history.json',
+  periods: 24
+};
+
+// Only values read from a reported cell go into the history, as in detect-outliers.js: not name-matched
+// (partial, fuzzy) values, targets or achievements
+const REPORTED_MATCH_TYPES = ['exact', 'exact_case_insensitive', 'disaggregated', 'dq_site'];
+
+// Add the uploaded values to the per orgUnit/dataElement/categoryOptionCombo history that
+// detect-outliers.js compares new values against, keeping the latest periods only
+function recordValueHistory(valueHistory, dataValues, periods) {
+  const history = { ...valueHistory };
+  const updatedAt = new Date().toISOString();
+
+  dataValues.forEach(dataValue => {
+    const value = Number(dataValue.value);
+    if (!REPORTED_MATCH_TYPES.includes(dataValue.matchType) || !Number.isFinite(value)) {
+      return;
+    }
+    const key = `${dataValue.orgUnit}|${dataValue.dataElement}|${dataValue.categoryOptionCombo || ''}`;
+    const entry = history[key] || { indicator: dataValue.originalIndicator || null, values: {} };
+    const values = { ...entry.values, [String(dataValue.period)]: value };
+    const keep = Object.keys(values).sort().slice(-periods);
+    history[key] = {
+      ...entry,
+      values: Object.fromEntries(keep.map(period => [period, values[period]])),
+      updatedAt
+    };
+  });
+
+  return history;
+}
 
 fn(state => {
   console.log('Updating file tracking state...');
@@ -19,13 +56,19 @@ fn(state => {
   
   // Update tracking for successfully processed files
   if (state.processedFiles && state.processedFiles.length > 0) {
+    const updatedArchives = {};
     state.processedFiles.forEach(file => {
-      const fileKey = file.name;
+      const fileKey = file.key || file.name;
       const trackingInfo = {
+        key: fileKey,
         name: file.name,
         size: file.size,
         modifiedTime: file.modifiedTime,
         path: file.path,
+        routing: file.routing || null,
+        contentHash: file.contentHash || null,
+        archive: file.archive || null,
+        cellErrors: file.excelData?.cellErrors?.length || 0,
         processedAt: new Date().toISOString(),
         status: 'processed',
         uploadStatus: state.uploadSummary?.status || 'unknown',
@@ -38,23 +81,70 @@ fn(state => {
       
       newFileTracking[fileKey] = trackingInfo;
       console.log(`Updated tracking for file: ${fileKey}`);
+      
+      // Track the .zip batch an entry came from so the batch itself is not picked up again
+      if (file.archive) {
+        const archiveKey = file.archive.key;
+        if (!updatedArchives[archiveKey]) {
+          updatedArchives[archiveKey] = {
+            ...(state.currentFileList?.[archiveKey] || {}),
+            key: archiveKey,
+            name: file.archive.name,
+            path: file.archive.path,
+            contentHash: file.archive.contentHash || null,
+            processedAt: trackingInfo.processedAt,
+            status: 'processed',
+            entries: []
+          };
+          newFileTracking[archiveKey] = updatedArchives[archiveKey];
+        }
+        updatedArchives[archiveKey].entries.push(file.archive.entry);
+      }
     });
   }
   
   // Update tracking for files checked via cron (mark as checked)
   if (state.currentFileList) {
+    // Failed downloads and files that could not be fingerprinted stay untracked so the next check retries them
+    const retryKeys = new Set([
+      ...(state.failedDownloads || []).map(file => file.key || file.name),
+      ...(state.fingerprintErrors || []).map(error => error.key)
+    ]);
+    
     Object.entries(state.currentFileList).forEach(([fileKey, fileInfo]) => {
-      if (!newFileTracking[fileKey]) {
-        // File exists but wasn't processed (no changes detected)
+      if (retryKeys.has(fileKey)) {
+        return;
+      }
+      // A re-touched file with unchanged bytes keeps its entry, with the new size and mtime
+      if (fileInfo.duplicateOf === fileKey && newFileTracking[fileKey]) {
+        newFileTracking[fileKey] = {
+          ...newFileTracking[fileKey],
+          size: fileInfo.size,
+          modifiedTime: fileInfo.modifiedTime,
+          lastChecked: new Date().toISOString()
+        };
+      } else if (!newFileTracking[fileKey] || fileInfo.duplicateOf) {
+        // File exists but wasn't processed (no changes detected or duplicate content)
         newFileTracking[fileKey] = {
           ...fileInfo,
           lastChecked: new Date().toISOString(),
-          status: 'checked'
+          status: fileInfo.duplicateOf ? 'duplicate' : 'checked'
         };
       }
     });
   }
   
+  // Fingerprints of imported files outlive the 30-day tracking cleanup below, so content
+  // re-uploaded months later is still recognised as a duplicate by check-sftp-files.js
+  const contentHashes = { ...(state.contentHashes || {}) };
+  (state.processedFiles || []).forEach(file => {
+    [[file.contentHash, file.key || file.name], [file.archive?.contentHash, file.archive?.key]].forEach(([contentHash, key]) => {
+      if (contentHash && !contentHashes[contentHash]) {
+        contentHashes[contentHash] = { key, recordedAt: new Date().toISOString() };
+      }
+    });
+  });
+  
   // Clean up old tracking entries (older than 30 days)
   const thirtyDaysAgo = new Date();
   thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
@@ -69,10 +159,35 @@ fn(state => {
     }
   });
   
+  // Remember uploaded values for outlier detection; held-back outliers were not uploaded
+  const historyConfig = { ...defaultValueHistoryConfig, ...(state.valueHistoryConfig || {}) };
+  let valueHistory = state.valueHistory;
+  if (state.payload?.dataValues?.length > 0) {
+    if (historyConfig.store === 'file') {
+      const stored = fs.existsSync(historyConfig.path) ? JSON.parse(fs.readFileSync(historyConfig.path, 'utf8')) : {};
+      const updated = recordValueHistory(stored, state.payload.dataValues, historyConfig.periods);
+      fs.mkdirSync(historyConfig.path.substring(0, historyConfig.path.lastIndexOf('/')), { recursive: true });
+      fs.writeFileSync(historyConfig.path, JSON.stringify(updated, null, 2));
+      console.log(`Saved value history for ${Object.keys(updated).length} series to ${historyConfig.path}`);
+    } else {
+      valueHistory = recordValueHistory(state.valueHistory || {}, state.payload.dataValues, historyConfig.periods);
+      console.log(`Updated value history for ${Object.keys(valueHistory).length} series`);
+    }
+  }
+  
   // Summary of tracking updates
   const trackingSummary = {
     totalTrackedFiles: Object.keys(newFileTracking).length,
     newlyProcessed: state.processedFiles?.length || 0,
+    duplicatesSkipped: state.duplicateFiles?.length || 0,
+    cellErrors: state.cellErrors?.length || 0,
+    outliers: state.outliers?.length || 0,
+    heldBackValues: state.heldBackValues?.length || 0,
+    // Per dataset and period; the facility matrix stays in state.completenessReport
+    completeness: state.completenessSummary || null,
+    underperforming: state.achievements?.filter(entry => entry.underperforming).length || 0,
+    valueConflicts: state.valueConflicts?.length || 0,
+    downloadRetriesPending: Object.keys(state.downloadRetries || {}).length,
     lastUpdated: new Date().toISOString(),
     cleanupPerformed: true
   };
@@ -83,6 +198,8 @@ fn(state => {
   return {
     ...state,
     fileTracking: newFileTracking,
+    contentHashes,
+    ...(valueHistory ? { valueHistory } : {}),
     trackingSummary,
     workflowCompleted: true,
     completedAt: new Date().toISOString()
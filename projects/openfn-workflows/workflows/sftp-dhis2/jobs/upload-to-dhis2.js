@@ -5,6 +5,11 @@
 
 import { create, fn } from '@openfn/language-dhis2';
 
+// Same key detect-outliers.js uses for a value's history, plus its period
+function outlierKey(dataValue) {
+  return `${dataValue.orgUnit}|${dataValue.dataElement}|${dataValue.categoryOptionCombo || ''}|${dataValue.period}`;
+}
+
 fn(state => {
   console.log('Starting DHIS2 upload for SFTP-processed data...');
   
@@ -12,6 +17,24 @@ fn(state => {
     throw new Error('No payload found in state. Ensure the generate-dhis2-payload job executed successfully.');
   }
   
+  // Outliers flagged with holdBack are left out of the upload and kept for review
+  const heldBackKeys = new Set((state.outliers || [])
+    .filter(outlier => outlier.heldBack)
+    .map(outlierKey));
+  let heldBackValues = [];
+  if (heldBackKeys.size > 0) {
+    heldBackValues = state.payload.dataValues.filter(dataValue => heldBackKeys.has(outlierKey(dataValue)));
+    state = {
+      ...state,
+      payload: {
+        ...state.payload,
+        dataValues: state.payload.dataValues.filter(dataValue => !heldBackKeys.has(outlierKey(dataValue)))
+      },
+      heldBackValues
+    };
+    console.warn(`Holding back ${heldBackValues.length} outlier value(s) from the upload`);
+  }
+  
   console.log('Uploading SFTP-generated payload to DHIS2...');
   console.log('Number of data values to upload:', state.payload.dataValues.length);
   console.log('Data source:', state.payload.dataSource);
@@ -63,7 +86,8 @@ fn(state => {
   let uploadSummary = {
     status: 'completed',
     uploadedAt: new Date().toISOString(),
-    totalValues: state.payload.dataValues.length
+    totalValues: state.payload.dataValues.length,
+    heldBack: state.heldBackValues?.length || 0
   };
   
   if (response && response.summary) {